@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fetchWithCassette, sanitizeParams, serializeResponse, toResponse } from './cassette.js';
+
+/**
+ * Response cache for ScrapingBee calls, so repeating a fetch with the same URL
+ * and options within the TTL costs no credits.
+ *
+ * SCRAPINGBEE_CACHE      memory (default), disk or off
+ * SCRAPINGBEE_CACHE_TTL  seconds a response stays fresh (default: 300)
+ * SCRAPINGBEE_CACHE_DIR  directory of the disk backend (default: .cache/scrapingbee)
+ *
+ * Entries are keyed on the normalized target URL plus every other request
+ * parameter, without the api_key. Only successful responses are cached.
+ */
+
+const CACHE_BACKENDS = ['off', 'memory', 'disk'];
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_CACHE_DIR = '.cache/scrapingbee';
+
+// Oldest entries are evicted from the memory backend beyond this
+const MAX_MEMORY_ENTRIES = 200;
+
+// Marks responses served from the cache; never sent by ScrapingBee
+const CACHE_HEADER = 'x-mcp-cache-age';
+
+// Tool option shared by every tool that calls ScrapingBee
+export const CACHE_OPTIONS = {
+  bypass_cache: {
+    type: 'boolean',
+    description: 'Skip the response cache and fetch a fresh copy from ScrapingBee (the fresh response replaces the cached one)'
+  }
+};
+
+const memoryCache = new Map();
+
+/**
+ * Current cache configuration
+ * @returns {{ backend: 'off'|'memory'|'disk', ttlMs: number }}
+ * @throws {Error} CONFIGURATION error for an unknown backend or TTL
+ */
+export function getCacheConfig() {
+  const backend = (process.env.SCRAPINGBEE_CACHE || 'memory').toLowerCase();
+  if (!CACHE_BACKENDS.includes(backend)) {
+    const error = new Error(`Invalid SCRAPINGBEE_CACHE "${backend}". Use one of: ${CACHE_BACKENDS.join(', ')}`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+
+  const ttl = Number(process.env.SCRAPINGBEE_CACHE_TTL ?? DEFAULT_TTL_SECONDS);
+  if (!Number.isFinite(ttl) || ttl < 0) {
+    const error = new Error(`Invalid SCRAPINGBEE_CACHE_TTL "${process.env.SCRAPINGBEE_CACHE_TTL}". Use a number of seconds`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+
+  return { backend: ttl === 0 ? 'off' : backend, ttlMs: ttl * 1000 };
+}
+
+/**
+ * Normalize a target URL so trivially different spellings share an entry:
+ * lowercase scheme and host, default port and fragment dropped, query sorted
+ * @param {string} url - Target URL
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+function cacheKey(queryParams, headers) {
+  const params = sanitizeParams(queryParams, headers);
+  if (params.url) params.url = normalizeUrl(params.url);
+  return crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+}
+
+function getCacheDir() {
+  return path.resolve(process.env.SCRAPINGBEE_CACHE_DIR || DEFAULT_CACHE_DIR);
+}
+
+function readEntry(backend, key) {
+  if (backend === 'memory') return memoryCache.get(key) || null;
+
+  const entryPath = path.join(getCacheDir(), `${key}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+  } catch (e) {
+    // Missing or unreadable entries are misses
+    return null;
+  }
+}
+
+function writeEntry(backend, key, entry) {
+  if (backend === 'memory') {
+    memoryCache.delete(key);
+    memoryCache.set(key, entry);
+    while (memoryCache.size > MAX_MEMORY_ENTRIES) {
+      memoryCache.delete(memoryCache.keys().next().value);
+    }
+    return;
+  }
+
+  const cacheDir = getCacheDir();
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(path.join(cacheDir, `${key}.json`), JSON.stringify(entry));
+}
+
+/**
+ * fetch() the ScrapingBee API through the response cache
+ * @param {string} apiUrl - Full API URL including the query string
+ * @param {URLSearchParams} queryParams - Query sent to ScrapingBee
+ * @param {object} init - fetch options
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache] - Fetch fresh and overwrite the cached entry
+ * @param {Function} [options.beforeFetch] - Awaited before a request that is not served from the cache
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithCache(apiUrl, queryParams, init, { bypassCache = false, beforeFetch = () => {} } = {}) {
+  const { backend, ttlMs } = getCacheConfig();
+  if (backend === 'off') {
+    await beforeFetch();
+    return fetchWithCassette(apiUrl, queryParams, init);
+  }
+
+  const key = cacheKey(queryParams, init.headers);
+
+  if (!bypassCache) {
+    const entry = readEntry(backend, key);
+    const ageMs = entry ? Date.now() - entry.storedAt : null;
+    if (entry && ageMs <= ttlMs) {
+      console.error(`[ScrapingBee] Cache hit (${Math.round(ageMs / 1000)}s old) for: ${queryParams.get('url')}`);
+      const response = toResponse(entry.response);
+      response.headers.set(CACHE_HEADER, String(Math.round(ageMs / 1000)));
+      return response;
+    }
+  }
+
+  await beforeFetch();
+  const response = await fetchWithCassette(apiUrl, queryParams, init);
+  if (!response.ok) return response;
+
+  const stored = await serializeResponse(response);
+  writeEntry(backend, key, { storedAt: Date.now(), response: stored });
+  return toResponse(stored);
+}
+
+/**
+ * Whether a response was served from the cache
+ * @param {Response} response - Response returned by callScrapingBee
+ * @returns {{ cached: boolean, cacheAgeSeconds?: number }}
+ */
+export function getCacheStatus(response) {
+  const age = response.headers.get(CACHE_HEADER);
+  return age === null ? { cached: false } : { cached: true, cacheAgeSeconds: Number(age) };
+}
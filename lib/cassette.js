@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Record and replay ScrapingBee API calls.
+ *
+ * SCRAPINGBEE_CASSETTE_MODE=record  calls the API and saves every request/response pair
+ * SCRAPINGBEE_CASSETTE_MODE=replay  serves matching requests from the cassette, never the network
+ * SCRAPINGBEE_CASSETTE_PATH         cassette file (default: cassettes/scrapingbee.json)
+ *
+ * The api_key is never written to disk and is ignored when matching requests;
+ * own_proxy, cookies and forwarded header values are stored as hashes.
+ */
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+const DEFAULT_CASSETTE_PATH = 'cassettes/scrapingbee.json';
+
+// Parameters that carry credentials; only a hash of them is stored
+const SECRET_PARAMS = ['own_proxy', 'cookies'];
+
+// Response headers worth keeping; everything else is transport noise
+const RECORDED_HEADERS = [
+  'content-type',
+  'retry-after',
+  'spb-cost',
+  'spb-initial-status-code',
+  'spb-resolved-url'
+];
+
+/**
+ * Current cassette mode
+ * @returns {'off'|'record'|'replay'}
+ */
+export function getCassetteMode() {
+  const mode = (process.env.SCRAPINGBEE_CASSETTE_MODE || 'off').toLowerCase();
+  if (!CASSETTE_MODES.includes(mode)) {
+    const error = new Error(`Invalid SCRAPINGBEE_CASSETTE_MODE "${mode}". Use one of: ${CASSETTE_MODES.join(', ')}`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+  return mode;
+}
+
+function getCassettePath() {
+  return path.resolve(process.env.SCRAPINGBEE_CASSETTE_PATH || DEFAULT_CASSETTE_PATH);
+}
+
+/**
+ * Query parameters without the api_key, sorted so equal requests match.
+ * Forwarded Spb- headers change the response, so they are part of the match;
+ * their values may be credentials (Authorization, Cookie, API keys), so only a hash is kept.
+ * @param {URLSearchParams} queryParams - Query sent to ScrapingBee
+ * @param {object} [headers] - Request headers
+ * @returns {object} Sanitized parameters
+ */
+export function sanitizeParams(queryParams, headers = {}) {
+  const entries = [...queryParams.entries()]
+    .filter(([name]) => name !== 'api_key')
+    .map(([name, value]) => [name, SECRET_PARAMS.includes(name) ? hashSecret(value) : value]);
+  for (const [name, value] of Object.entries(headers)) {
+    entries.push([`header:${name.toLowerCase()}`, hashSecret(String(value))]);
+  }
+  entries.sort(([a], [b]) => a.localeCompare(b));
+  return Object.fromEntries(entries);
+}
+
+function hashSecret(value) {
+  return `sha256:${crypto.createHash('sha256').update(value).digest('hex').substring(0, 16)}`;
+}
+
+function requestKey(params) {
+  return JSON.stringify(params);
+}
+
+function loadCassette(cassettePath) {
+  if (!fs.existsSync(cassettePath)) return { version: 1, interactions: [] };
+  return JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+}
+
+function saveCassette(cassettePath, cassette) {
+  fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+  fs.writeFileSync(cassettePath, JSON.stringify(cassette, null, 2));
+}
+
+function isTextContent(contentType) {
+  return !contentType || /^text\/|json|xml/.test(contentType);
+}
+
+/**
+ * Rebuild a fetch Response from a stored response
+ * @param {object} recorded - Output of serializeResponse
+ * @returns {Response}
+ */
+export function toResponse(recorded) {
+  const body = recorded.encoding === 'base64'
+    ? Buffer.from(recorded.body, 'base64')
+    : recorded.body;
+  return new Response(body, { status: recorded.status, headers: recorded.headers });
+}
+
+/**
+ * Read a response into a JSON-serializable object, keeping only useful headers
+ * @param {Response} response - ScrapingBee response
+ * @returns {Promise<{ status: number, headers: object, encoding: string, body: string }>}
+ */
+export async function serializeResponse(response) {
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = response.headers.get(name);
+    if (value !== null) headers[name] = value;
+  }
+
+  const text = isTextContent(headers['content-type']);
+  return {
+    status: response.status,
+    headers,
+    encoding: text ? 'utf8' : 'base64',
+    body: buffer.toString(text ? 'utf8' : 'base64')
+  };
+}
+
+/**
+ * fetch() the ScrapingBee API, going through the cassette when a mode is set
+ * @param {string} apiUrl - Full API URL including the query string
+ * @param {URLSearchParams} queryParams - Query sent to ScrapingBee
+ * @param {object} init - fetch options
+ * @returns {Promise<Response>}
+ * @throws {Error} CASSETTE_MISS when replaying a request that was never recorded
+ */
+export async function fetchWithCassette(apiUrl, queryParams, init) {
+  const mode = getCassetteMode();
+  if (mode === 'off') return fetch(apiUrl, init);
+
+  const cassettePath = getCassettePath();
+  const params = sanitizeParams(queryParams, init.headers);
+  const key = requestKey(params);
+
+  if (mode === 'replay') {
+    const interaction = loadCassette(cassettePath).interactions
+      .find(recorded => requestKey(recorded.request.params) === key);
+
+    if (!interaction) {
+      const error = new Error(`No recorded ScrapingBee response in ${cassettePath} for this request`);
+      error.errorCategory = 'CASSETTE_MISS';
+      error.requestParams = params;
+      error.suggestions = [
+        'Record the request first with SCRAPINGBEE_CASSETTE_MODE=record',
+        'Replay only matches requests with exactly the same parameters',
+        'Unset SCRAPINGBEE_CASSETTE_MODE to call the live API'
+      ];
+      throw error;
+    }
+
+    console.error(`[ScrapingBee] Replaying recorded response for: ${params.url}`);
+    return toResponse(interaction.response);
+  }
+
+  const recorded = await serializeResponse(await fetch(apiUrl, init));
+
+  // Re-read the cassette so concurrent calls don't drop each other's entries
+  const cassette = loadCassette(cassettePath);
+  cassette.interactions = cassette.interactions
+    .filter(existing => requestKey(existing.request.params) !== key);
+  cassette.interactions.push({
+    request: { params },
+    response: recorded,
+    recordedAt: new Date().toISOString()
+  });
+  saveCassette(cassettePath, cassette);
+
+  console.error(`[ScrapingBee] Recorded response for: ${params.url}`);
+  return toResponse(recorded);
+}
@@ -0,0 +1,22 @@
+/**
+ * Run an async worker over items with at most `limit` calls in flight
+ * @param {any[]} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {(item: any, index: number) => Promise<any>} worker - Called once per item
+ * @returns {Promise<any[]>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, run);
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,53 @@
+/**
+ * Interpret a tool argument or query string value as a flag
+ * @param {boolean|string|undefined} value - true/false or 'true'/'false'
+ * @param {boolean} defaultValue - Value used when the option is not set
+ * @returns {boolean}
+ */
+export function isEnabled(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true';
+}
+
+// Google requests (custom_google=true) are billed at this flat rate
+const CUSTOM_GOOGLE_CREDITS = 20;
+
+/**
+ * Credit cost of one ScrapingBee request from its rendering, proxy and Google
+ * options, with the option combination it is based on, following
+ * https://www.scrapingbee.com/documentation/#credit-cost
+ * @param {object} params - Tool arguments or ScrapingBee query parameters
+ * @returns {{ credits: number, basis: string }} Credits charged for a successful request
+ */
+export function explainCreditCost(params) {
+  const cost = proxyCreditCost(params);
+  // Never estimate below what the proxy options alone cost, so budgets stay on the safe side
+  if (isEnabled(params.custom_google) && CUSTOM_GOOGLE_CREDITS > cost.credits) {
+    return { credits: CUSTOM_GOOGLE_CREDITS, basis: 'custom_google, billed per Google request' };
+  }
+  return cost;
+}
+
+function proxyCreditCost(params) {
+  // JavaScript rendering is on by default in ScrapingBee
+  const renderJs = isEnabled(params.render_js, true);
+
+  if (isEnabled(params.stealth_proxy)) return { credits: 75, basis: 'stealth_proxy, always with render_js' };
+  if (isEnabled(params.premium_proxy)) {
+    return renderJs
+      ? { credits: 25, basis: 'premium_proxy with render_js' }
+      : { credits: 10, basis: 'premium_proxy without render_js' };
+  }
+  return renderJs
+    ? { credits: 5, basis: 'render_js, the ScrapingBee default' }
+    : { credits: 1, basis: 'render_js=false, no premium proxy' };
+}
+
+/**
+ * Estimate the credit cost of one ScrapingBee request
+ * @param {object} params - Tool arguments or ScrapingBee query parameters
+ * @returns {number} Credits charged for a successful request
+ */
+export function estimateCreditCost(params) {
+  return explainCreditCost(params).credits;
+}
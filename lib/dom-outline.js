@@ -0,0 +1,193 @@
+/**
+ * Condensed DOM outline for selector discovery: the element tree without
+ * scripts, styles and other noise, repeated siblings collapsed, and a
+ * selector path per node that stays within ScrapingBee's CSS subset
+ * (tags, #ids, .classes and child combinators, no pseudo-selectors).
+ */
+import * as cheerio from 'cheerio';
+
+// Elements that never hold extractable content
+const NOISE_SELECTOR = 'script, style, noscript, template, svg, link, meta, iframe, canvas';
+
+// Ids and classes usable in a selector without escaping
+const CSS_IDENTIFIER = /^-?[_a-zA-Z][\w-]*$/;
+
+// Tag names outside this set (fb:like, o:p) are escaped in selector paths
+const CSS_TAG_CHARACTER = /[\w-]/;
+
+const MAX_CLASSES = 3;
+const TEXT_PREVIEW_LENGTH = 40;
+const DEFAULT_MAX_DEPTH = 25;
+const DEFAULT_MAX_NODES = 400;
+
+/**
+ * Build an indented outline of a document
+ * @param {string} html - Page HTML
+ * @param {object} [options]
+ * @param {string} [options.selector] - Outline only the elements matching this CSS selector
+ * @param {number} [options.maxDepth] - Deepest level to descend into
+ * @param {number} [options.maxNodes] - Stop after this many outline lines
+ * @returns {{ outline: string, nodeCount: number, collapsedGroups: number, nodeLimitReached: boolean }}
+ * @throws {Error} VALIDATION error for a selector list (a, b), whose paths could not be continued
+ */
+export function buildOutline(html, { selector, maxDepth = DEFAULT_MAX_DEPTH, maxNodes = DEFAULT_MAX_NODES } = {}) {
+  if (selector && hasSelectorList(selector)) {
+    const error = new Error(`The outline selector "${selector}" is a list of selectors. Outline one selector at a time, e.g. "${selector.split(',')[0].trim()}"`);
+    error.errorCategory = 'VALIDATION';
+    throw error;
+  }
+
+  const $ = cheerio.load(html);
+  $(NOISE_SELECTOR).remove();
+  $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+  const idCounts = new Map();
+  $('[id]').each((_, element) => {
+    const id = $(element).attr('id');
+    idCounts.set(id, (idCounts.get(id) || 0) + 1);
+  });
+
+  const state = { $, idCounts, lines: [], collapsedGroups: 0, nodeLimitReached: false, maxDepth, maxNodes };
+  if (selector) {
+    // Paths continue from the selector so they stay valid against the whole document
+    for (const { example, count } of groupElements($, $(selector).toArray())) {
+      if (count > 1) state.collapsedGroups++;
+      walk(state, example, 0, selector, count);
+    }
+  } else {
+    const body = $('body')[0];
+    const roots = body ? [body] : $.root().children().toArray();
+    for (const root of roots) {
+      walk(state, root, 0, root.tagName === 'body' ? 'body' : '');
+    }
+  }
+
+  return {
+    outline: state.lines.join('\n'),
+    nodeCount: state.lines.length,
+    collapsedGroups: state.collapsedGroups,
+    nodeLimitReached: state.nodeLimitReached
+  };
+}
+
+function walk(state, element, depth, path, count = 1) {
+  if (state.lines.length >= state.maxNodes) {
+    state.nodeLimitReached = true;
+    return;
+  }
+
+  const { $ } = state;
+  const label = describe($, element);
+  const preview = ownText($, element);
+  const matches = count > 1 ? count : countMatches($, path);
+
+  let line = `${'  '.repeat(depth)}${label}`;
+  if (count > 1) line += ` ×${count}`;
+  if (preview) line += ` "${preview}"`;
+  line += `  →  ${path}`;
+  if (matches === null) line += '  (selector not supported)';
+  else if (count === 1 && matches > 1) line += `  (matches ${matches})`;
+  state.lines.push(line);
+
+  if (depth >= state.maxDepth) return;
+
+  for (const { example, count: siblings } of groupElements($, $(element).children().toArray())) {
+    if (siblings > 1) state.collapsedGroups++;
+    walk(state, example, depth + 1, childPath(state, example, path), siblings);
+  }
+}
+
+/**
+ * Number of elements a path matches, or null when the selector engine rejects it
+ */
+function countMatches($, path) {
+  try {
+    return $(path).length;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a selector has a top-level comma, outside brackets, parentheses and quotes
+ */
+function hasSelectorList(selector) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '\\') i++;
+    else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") quote = char;
+    else if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (char === ',' && depth === 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Tag name as a CSS type selector
+ */
+function tagSelector(tagName) {
+  return [...tagName].map(char => (CSS_TAG_CHARACTER.test(char) ? char : `\\${char}`)).join('');
+}
+
+/**
+ * Group elements by tag and classes, keeping the first of each group as example
+ */
+function groupElements($, elements) {
+  const groups = new Map();
+  for (const child of elements) {
+    const key = signature($, child);
+    const group = groups.get(key);
+    if (group) group.count++;
+    else groups.set(key, { example: child, count: 1 });
+  }
+  return [...groups.values()];
+}
+
+function safeClasses($, element) {
+  return ($(element).attr('class') || '')
+    .split(/\s+/)
+    .filter(name => CSS_IDENTIFIER.test(name));
+}
+
+function signature($, element) {
+  return [element.tagName, ...safeClasses($, element).sort()].join('.');
+}
+
+function describe($, element) {
+  const id = $(element).attr('id');
+  const classes = safeClasses($, element);
+  let label = element.tagName;
+  if (id) label += `#${id}`;
+  if (classes.length > 0) {
+    label += classes.slice(0, MAX_CLASSES).map(name => `.${name}`).join('');
+    if (classes.length > MAX_CLASSES) label += '…';
+  }
+  return label;
+}
+
+/**
+ * Selector for a child: a unique id restarts the path, otherwise tag and classes
+ * are appended with a child combinator
+ */
+function childPath(state, element, parentPath) {
+  const { $, idCounts } = state;
+  const id = $(element).attr('id');
+  if (id && CSS_IDENTIFIER.test(id) && idCounts.get(id) === 1) return `#${id}`;
+
+  const step = tagSelector(element.tagName) + safeClasses($, element).slice(0, MAX_CLASSES - 1).map(name => `.${name}`).join('');
+  return parentPath ? `${parentPath} > ${step}` : step;
+}
+
+function ownText($, element) {
+  const text = $(element).contents()
+    .filter((_, node) => node.type === 'text')
+    .text()
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > TEXT_PREVIEW_LENGTH ? `${text.substring(0, TEXT_PREVIEW_LENGTH)}…` : text;
+}
@@ -0,0 +1,161 @@
+import { checkIfEmpty } from './extract-rules.js';
+
+/**
+ * Drift of an extraction against its stored baseline: per field presence,
+ * type, list count and how much of the content changed, rolled up into a
+ * healthy / degraded / broken verdict.
+ *
+ * A field is broken when it had data in the baseline and now comes back
+ * empty or with another type. It is degraded when a list lost more than half
+ * of its items, or when an output key that had data in the baseline is now
+ * empty everywhere. Values changing (prices, stock counts, rotating items) is
+ * expected, so the value change ratio is only reported.
+ */
+
+// A list shrinking below this share of its baseline count is degraded
+const MIN_COUNT_RATIO = 0.5;
+
+// The whole result is broken once this share of the baseline fields is broken
+const BROKEN_FIELD_SHARE = 0.5;
+
+const VERDICT_ORDER = ['healthy', 'degraded', 'broken'];
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'list';
+  return typeof value;
+}
+
+/**
+ * Share of the baseline values no longer found in the current value (0 to 1)
+ */
+function valueChangeRatio(baseline, current) {
+  if (Array.isArray(baseline)) {
+    if (baseline.length === 0) return 0;
+    // Compared as a multiset, so reordering is not a change
+    const remaining = new Map();
+    for (const item of current || []) {
+      const key = JSON.stringify(item);
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+    let changed = 0;
+    for (const item of baseline) {
+      const key = JSON.stringify(item);
+      if (remaining.get(key) > 0) remaining.set(key, remaining.get(key) - 1);
+      else changed++;
+    }
+    return changed / baseline.length;
+  }
+
+  if (baseline !== null && typeof baseline === 'object') {
+    const keys = Object.keys(baseline);
+    if (keys.length === 0) return 0;
+    const changed = keys.filter(key => JSON.stringify(baseline[key]) !== JSON.stringify(current?.[key])).length;
+    return changed / keys.length;
+  }
+
+  return JSON.stringify(baseline) === JSON.stringify(current) ? 0 : 1;
+}
+
+/**
+ * Keys of an object field, or of the objects in a list field
+ */
+function outputKeys(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return [...new Set(items.filter(item => item && typeof item === 'object' && !Array.isArray(item)).flatMap(Object.keys))];
+}
+
+/**
+ * Whether an object field, or any object in a list field, has data under a key
+ */
+function hasData(value, key) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.some(item => item && typeof item === 'object' && !checkIfEmpty(item[key]));
+}
+
+function round(ratio) {
+  return Math.round(ratio * 100) / 100;
+}
+
+/**
+ * Compare one field with its baseline
+ * @returns {object} field, verdict, issues and the measurements behind them
+ */
+function compareField(field, baseline, current) {
+  const baselineType = typeOf(baseline);
+  const currentType = typeOf(current);
+  const wasEmpty = checkIfEmpty(baseline);
+  const isEmpty = checkIfEmpty(current);
+  const issues = [];
+  let verdict = 'healthy';
+
+  const report = { field, baselineType, currentType };
+
+  if (!wasEmpty && isEmpty) {
+    verdict = 'broken';
+    issues.push('had data in the baseline and is now empty');
+  } else if (wasEmpty && !isEmpty) {
+    issues.push('was empty in the baseline and now has data');
+  } else if (!wasEmpty && baselineType !== currentType) {
+    verdict = 'broken';
+    issues.push(`was ${baselineType} and is now ${currentType}`);
+  }
+
+  if (baselineType === 'list') {
+    report.baselineCount = baseline.length;
+    report.currentCount = Array.isArray(current) ? current.length : 0;
+    if (baseline.length > 0) {
+      report.countRatio = round(report.currentCount / baseline.length);
+      if (verdict === 'healthy' && report.countRatio < MIN_COUNT_RATIO) {
+        verdict = 'degraded';
+        issues.push(`list dropped from ${report.baselineCount} to ${report.currentCount} item(s)`);
+      }
+    }
+  }
+
+  if (!wasEmpty && !isEmpty) {
+    report.valueChangeRatio = round(valueChangeRatio(baseline, current));
+
+    const lostKeys = outputKeys(baseline).filter(key => hasData(baseline, key) && !hasData(current, key));
+    if (verdict === 'healthy' && lostKeys.length > 0) {
+      verdict = 'degraded';
+      report.emptyOutputFields = lostKeys;
+      issues.push(`${lostKeys.join(', ')} had data in the baseline and ${lostKeys.length === 1 ? 'is' : 'are'} now empty`);
+    }
+  }
+
+  return { ...report, verdict, ...(issues.length > 0 && { issues }) };
+}
+
+/**
+ * Diff an extraction against its baseline
+ * @param {any} baselineData - Data stored as the baseline
+ * @param {any} currentData - Data extracted now
+ * @param {object} rules - Parsed extract_rules that produced both
+ * @returns {{ verdict: string, fields: object[], summary: object }} verdict (healthy, degraded or broken),
+ *   one comparison per rule field, and counts of fields per verdict
+ */
+export function compareToBaseline(baselineData, currentData, rules) {
+  const fields = Object.keys(rules).map(field =>
+    compareField(field, baselineData?.[field], currentData?.[field]));
+
+  const summary = Object.fromEntries(VERDICT_ORDER.map(verdict =>
+    [verdict, fields.filter(entry => entry.verdict === verdict).length]));
+  const baselineFields = fields.filter(entry => !checkIfEmpty(baselineData?.[entry.field])).length;
+
+  let verdict = 'healthy';
+  if (summary.broken > 0 && summary.broken >= Math.max(1, baselineFields * BROKEN_FIELD_SHARE)) verdict = 'broken';
+  else if (summary.broken > 0 || summary.degraded > 0) verdict = 'degraded';
+
+  return { verdict, fields, summary };
+}
+
+/**
+ * Worst of several verdicts
+ * @param {string[]} verdicts
+ * @returns {string} healthy, degraded or broken
+ */
+export function worstVerdict(verdicts) {
+  return verdicts.reduce((worst, verdict) =>
+    (VERDICT_ORDER.indexOf(verdict) > VERDICT_ORDER.indexOf(worst) ? verdict : worst), 'healthy');
+}
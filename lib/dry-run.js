@@ -0,0 +1,86 @@
+import { explainCreditCost } from './credits.js';
+import { getRequestContext } from './request-context.js';
+import { getApiBaseUrl } from './scrapingbee.js';
+import { jsonResult } from './tool-result.js';
+import { getBudgets } from './usage.js';
+
+// Tool option shared by every tool that calls ScrapingBee
+export const DRY_RUN_OPTIONS = {
+  dry_run: {
+    type: 'boolean',
+    description: 'Validate the arguments and return the ScrapingBee query that would be sent and its expected credit cost, without calling ScrapingBee (costs no credits)'
+  }
+};
+
+// Credentials are never echoed back, same as appliedParams
+const REDACTED_PARAMS = ['own_proxy', 'cookies'];
+
+/**
+ * Describe a request built by buildScrapingBeeRequest without sending it
+ * @param {{ queryParams: URLSearchParams, headers: object }} request
+ * @returns {object} Endpoint, query without the api_key, forwarded header names and expected cost
+ */
+export function describeRequest({ queryParams, headers }) {
+  const query = {};
+  for (const [name, value] of queryParams) {
+    if (name === 'api_key') continue;
+    query[name] = REDACTED_PARAMS.includes(name) ? '[REDACTED]' : value;
+  }
+  const cost = explainCreditCost(query);
+
+  return {
+    method: 'GET',
+    endpoint: getApiBaseUrl(),
+    query,
+    ...(Object.keys(headers).length > 0 && { forwardedHeaders: Object.keys(headers) }),
+    estimatedCredits: cost.credits,
+    costBasis: cost.basis
+  };
+}
+
+/**
+ * Tool result for a dry run: the first request the tool would send, the
+ * expected total cost and how it compares with the configured budgets
+ * @param {object|object[]} requests - Request built by buildScrapingBeeRequest, or a list of
+ *   different requests sent one after the other until one succeeds (auto_escalate)
+ * @param {object} [options]
+ * @param {number} [options.requestCount] - Requests the call would make at most, all with the same options
+ * @param {object} [options.fields] - Tool-specific details to include
+ * @returns {object} MCP tool result
+ */
+export function dryRunResult(requests, { requestCount = 1, fields = {} } = {}) {
+  const ladder = Array.isArray(requests) ? requests.map(describeRequest) : null;
+  const described = ladder ? ladder[0] : describeRequest(requests);
+  const count = ladder ? ladder.length : requestCount;
+  const estimatedCredits = ladder
+    ? ladder.reduce((total, request) => total + request.estimatedCredits, 0)
+    : described.estimatedCredits * requestCount;
+  const budgets = getBudgets(getRequestContext().sessionId);
+
+  const warnings = Object.entries(budgets)
+    .filter(([, budget]) => budget && budget.spent + estimatedCredits > budget.limit)
+    .map(([scope, budget]) =>
+      `This would go over the ${scope} budget (${budget.remaining} of ${budget.limit} credits left); requests past it are refused`);
+
+  let cost;
+  if (ladder && count > 1) {
+    cost = `At least ${described.estimatedCredits} credit(s) (${described.costBasis}), at most ${estimatedCredits} if every step up is needed ` +
+      `(${ladder.map(request => request.estimatedCredits).join(' + ')}).`;
+  } else if (count === 1) {
+    cost = `Expected cost: ${estimatedCredits} credit(s) (${described.costBasis}).`;
+  } else {
+    cost = `Up to ${count} requests at ${described.estimatedCredits} credit(s) each (${described.costBasis}): at most ${estimatedCredits} credit(s).`;
+  }
+
+  return jsonResult({
+    success: true,
+    dryRun: true,
+    message: `Dry run, nothing was sent to ScrapingBee. ${cost} Cache hits cost nothing.`,
+    ...(ladder && count > 1 ? { requests: ladder } : { request: described }),
+    requestCount: count,
+    estimatedCredits,
+    ...fields,
+    budgets,
+    ...(warnings.length > 0 && { warnings })
+  });
+}
@@ -0,0 +1,243 @@
+import { jsonError } from './tool-result.js';
+
+/**
+ * Parse ScrapingBee API error response to extract detailed error information
+ * @param {number} statusCode - HTTP status code
+ * @param {string} responseText - Raw response text from API
+ * @param {string} url - The URL being scraped
+ * @returns {object} Structured error information
+ */
+export function parseScrapingBeeError(statusCode, responseText, url) {
+  const errorInfo = {
+    statusCode,
+    statusText: getHttpStatusText(statusCode),
+    rawResponse: responseText?.substring(0, 1000) || 'No response body',
+    url,
+    timestamp: new Date().toISOString(),
+    possibleCauses: [],
+    suggestions: []
+  };
+
+  // Try to parse JSON error response
+  try {
+    const parsed = JSON.parse(responseText);
+    if (parsed.error) errorInfo.apiError = parsed.error;
+    if (parsed.message) errorInfo.apiMessage = parsed.message;
+  } catch (e) {
+    // Response is not JSON, keep raw text
+  }
+
+  // Add context based on status code
+  switch (statusCode) {
+    case 400:
+      errorInfo.possibleCauses = [
+        'Invalid URL format or encoding',
+        'Malformed extract_rules JSON',
+        'Invalid parameter combination',
+        'Missing required parameters'
+      ];
+      errorInfo.suggestions = [
+        'Ensure URL is properly encoded',
+        'Validate extract_rules JSON syntax',
+        'Check parameter types match schema'
+      ];
+      break;
+    case 401:
+      errorInfo.possibleCauses = [
+        'Invalid or missing API key',
+        'API key has expired',
+        'API key does not have required permissions'
+      ];
+      errorInfo.suggestions = [
+        'Verify SCRAPINGBEE_API_KEY environment variable is set',
+        'Check API key is valid at scrapingbee.com dashboard'
+      ];
+      break;
+    case 402:
+      errorInfo.possibleCauses = [
+        'Insufficient API credits',
+        'Account credit limit reached'
+      ];
+      errorInfo.suggestions = [
+        'Check your credit balance at scrapingbee.com',
+        'Purchase more credits or upgrade plan'
+      ];
+      break;
+    case 403:
+      errorInfo.possibleCauses = [
+        'Access forbidden to target URL',
+        'Target site blocking requests',
+        'Geographic restrictions'
+      ];
+      errorInfo.suggestions = [
+        'Try premium_proxy=true for better success rate',
+        'Use stealth_proxy=true for heavily protected sites',
+        'Try different country_code'
+      ];
+      break;
+    case 408:
+    case 504:
+      errorInfo.possibleCauses = [
+        'Request timed out',
+        'Target site too slow to respond',
+        'Complex JavaScript taking too long'
+      ];
+      errorInfo.suggestions = [
+        'Increase wait parameter',
+        'Use wait_for with specific selector',
+        'Try without render_js if not needed'
+      ];
+      break;
+    case 429:
+      errorInfo.possibleCauses = [
+        'Rate limit exceeded',
+        'Too many concurrent requests'
+      ];
+      errorInfo.suggestions = [
+        'Slow down request frequency',
+        'Wait before retrying',
+        'Check account rate limits'
+      ];
+      break;
+    case 500:
+      errorInfo.possibleCauses = [
+        'ScrapingBee internal server error',
+        'Target site caused server crash',
+        'Google scraping without custom_google parameter'
+      ];
+      errorInfo.suggestions = [
+        'For Google URLs, add custom_google=true',
+        'Retry request after a few seconds',
+        'Try with different proxy settings'
+      ];
+      if (url?.includes('google.')) {
+        errorInfo.suggestions.unshift('CRITICAL: Add custom_google=true for Google domains');
+      }
+      break;
+    case 502:
+    case 503:
+      errorInfo.possibleCauses = [
+        'ScrapingBee service temporarily unavailable',
+        'Target site is down',
+        'Network connectivity issues'
+      ];
+      errorInfo.suggestions = [
+        'Retry after a short delay',
+        'Check ScrapingBee status page',
+        'Verify target URL is accessible'
+      ];
+      break;
+    default:
+      errorInfo.possibleCauses = ['Unknown error occurred'];
+      errorInfo.suggestions = ['Check ScrapingBee documentation for status code ' + statusCode];
+  }
+
+  return errorInfo;
+}
+
+/**
+ * Get human-readable HTTP status text
+ */
+export function getHttpStatusText(code) {
+  const statusTexts = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    402: 'Payment Required',
+    403: 'Forbidden',
+    404: 'Not Found',
+    408: 'Request Timeout',
+    429: 'Too Many Requests',
+    500: 'Internal Server Error',
+    502: 'Bad Gateway',
+    503: 'Service Unavailable',
+    504: 'Gateway Timeout'
+  };
+  return statusTexts[code] || 'Unknown Status';
+}
+
+/**
+ * Create a detailed error response for MCP tool calls
+ */
+export function createDetailedErrorResponse(error, context = {}) {
+  const errorDetails = {
+    success: false,
+    error: error.message || String(error),
+    errorType: error.name || 'Error',
+    errorCategory: error.errorCategory || 'UNKNOWN',
+    context: {
+      ...context,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  // Add stack trace for debugging (truncated)
+  if (error.stack) {
+    errorDetails.stackTrace = error.stack.split('\n').slice(0, 5).join('\n');
+  }
+
+  // Add cause chain if available
+  if (error.cause) {
+    errorDetails.cause = error.cause.message || String(error.cause);
+  }
+
+  // Include ScrapingBee-specific error details if available
+  if (error.scrapingBeeError) {
+    errorDetails.scrapingBeeError = error.scrapingBeeError;
+  }
+
+  // Include custom suggestions
+  if (error.suggestions) {
+    errorDetails.suggestions = error.suggestions;
+  } else {
+    // Generate suggestions based on error type
+    if (error.message?.includes('timeout') || error.code === 'ETIMEDOUT') {
+      errorDetails.errorCategory = 'TIMEOUT';
+      errorDetails.suggestions = ['Increase timeout', 'Check network connectivity', 'Try with simpler request'];
+    } else if (error.message?.includes('ENOTFOUND') || error.message?.includes('ECONNREFUSED')) {
+      errorDetails.errorCategory = 'NETWORK';
+      errorDetails.suggestions = ['Check internet connection', 'Verify URL is accessible', 'Check DNS resolution'];
+    } else if (error.message?.includes('JSON')) {
+      errorDetails.errorCategory = 'PARSE_ERROR';
+      errorDetails.suggestions = ['Validate JSON syntax', 'Check for special characters', 'Ensure proper escaping'];
+    } else if (error.message?.includes('API key') || error.message?.includes('api_key')) {
+      errorDetails.errorCategory = 'AUTH';
+      errorDetails.suggestions = ['Set SCRAPINGBEE_API_KEY environment variable', 'Verify API key is valid'];
+    } else {
+      errorDetails.suggestions = ['Check parameters', 'Review ScrapingBee documentation', 'Contact support if issue persists'];
+    }
+  }
+
+  return errorDetails;
+}
+
+
+/**
+ * Build an MCP error result from a thrown error.
+ * Extra fields (url, rules_attempted, ...) are merged into the payload so each
+ * tool can keep its own context next to the shared error details.
+ * @param {Error} error - The error thrown by the tool implementation
+ * @param {object} options
+ * @param {string} options.operation - Tool implementation name, e.g. testExtractRules
+ * @param {string} options.message - Human readable summary prefix
+ * @param {object} [options.context] - Extra debugging context
+ * @param {object} [options.fields] - Extra top-level fields for the payload
+ * @returns {object} MCP tool result with isError set
+ */
+export function toolErrorResult(error, { operation, message, context = {}, fields = {} }) {
+  const errorDetails = createDetailedErrorResponse(error, {
+    operation,
+    ...context,
+    appliedParams: error.appliedParams
+  });
+
+  console.error(`[ScrapingBee] Error in ${operation}:`, JSON.stringify(errorDetails, null, 2));
+
+  return jsonError({
+    ...errorDetails,
+    message: `${message}: ${error.message}`,
+    ...fields,
+    ...(error.attempts && { attempts: error.attempts }),
+    helpUrl: 'https://www.scrapingbee.com/documentation/',
+    troubleshootingUrl: 'https://help.scrapingbee.com/en/article/what-to-do-if-my-request-fails-1jv1rmk/'
+  });
+}
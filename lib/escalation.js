@@ -0,0 +1,146 @@
+import { estimateCreditCost } from './credits.js';
+import { checkIfEmpty } from './extract-rules.js';
+import { fetchExtraction, getErrorCreditsCost } from './extraction.js';
+import { validationError } from './validation.js';
+
+/**
+ * Rendering/proxy ladder for auto_escalate: start cheap and only pay for
+ * JavaScript rendering, premium or stealth proxies when the cheaper tier is
+ * blocked or extracts nothing.
+ */
+export const ESCALATION_TIERS = [
+  { tier: 'basic', params: { render_js: false } },
+  { tier: 'render_js', params: { render_js: true } },
+  { tier: 'premium', params: { render_js: true, premium_proxy: true } },
+  { tier: 'stealth', params: { render_js: true, stealth_proxy: true } }
+];
+
+const TIER_NAMES = ESCALATION_TIERS.map(({ tier }) => tier);
+
+// Chosen per tier, so they can't be set together with auto_escalate
+const LADDER_PARAMS = ['render_js', 'premium_proxy', 'stealth_proxy', 'own_proxy'];
+
+// Only work with the headless browser, so the ladder starts at render_js
+const BROWSER_PARAMS = ['js_scenario', 'wait', 'wait_for', 'wait_browser'];
+
+// Target site statuses that mean the request was blocked
+const BLOCKED_STATUS_CODES = ['401', '403', '429'];
+const BLOCKED_PATTERN = /block|captcha|access denied|forbidden|bot detect/i;
+
+export const ESCALATION_OPTIONS = {
+  auto_escalate: {
+    type: 'boolean',
+    description: 'Start cheap (no JavaScript, standard proxy, 1 credit) and move up through render_js (5), premium proxy (25) and stealth proxy (75) only while the page is blocked (403, captcha) or the extraction comes back empty. Do not set render_js, premium_proxy or stealth_proxy with it'
+  },
+  escalation_ceiling: {
+    type: 'string',
+    enum: TIER_NAMES,
+    description: 'Highest tier auto_escalate may reach (default: stealth). Use premium or render_js to cap the cost'
+  }
+};
+
+/**
+ * Validate the auto_escalate options against the other arguments
+ * @param {object} args - Tool arguments
+ * @returns {object|null} Validation error result, or null when valid
+ */
+export function validateEscalationArgs(args) {
+  if (!args.auto_escalate) {
+    return args.escalation_ceiling === undefined
+      ? null
+      : validationError('escalation_ceiling requires auto_escalate', 'Set auto_escalate: true, or drop escalation_ceiling');
+  }
+
+  const conflicting = LADDER_PARAMS.filter(name => args[name] !== undefined);
+  if (conflicting.length > 0) {
+    return validationError(
+      'Conflicting parameters with auto_escalate',
+      `auto_escalate chooses render_js, premium_proxy and stealth_proxy for each tier, so ${conflicting.join(', ')} cannot be set. Drop them, or drop auto_escalate to pick the options yourself.`
+    );
+  }
+
+  if (planEscalation(args).length === 0) {
+    const browserParams = BROWSER_PARAMS.filter(name => args[name] !== undefined);
+    return validationError(
+      'escalation_ceiling below the first tier',
+      `${browserParams.join(', ')} ${browserParams.length > 1 ? 'need' : 'needs'} JavaScript rendering, so the ladder starts at render_js. Raise escalation_ceiling.`
+    );
+  }
+  return null;
+}
+
+/**
+ * Tiers auto_escalate would try, cheapest first
+ * @param {object} args - Tool arguments
+ * @returns {{ tier: string, params: object }[]}
+ */
+export function planEscalation(args) {
+  const needsBrowser = BROWSER_PARAMS.some(name => args[name] !== undefined);
+  const first = needsBrowser ? TIER_NAMES.indexOf('render_js') : 0;
+  const last = TIER_NAMES.indexOf(args.escalation_ceiling || 'stealth');
+  return ESCALATION_TIERS.slice(first, last + 1);
+}
+
+/**
+ * Whether a failed request looks like the target site blocked it
+ * @param {Error} error - Error thrown by fetchExtraction
+ * @returns {boolean}
+ */
+export function isBlocked(error) {
+  const details = error.scrapingBeeError;
+  if (!details) return false;
+  return details.statusCode === 403
+    || BLOCKED_STATUS_CODES.includes(String(details.targetSiteStatusCode))
+    || BLOCKED_PATTERN.test(`${details.apiError || ''} ${details.apiMessage || ''}`);
+}
+
+/**
+ * Run an extraction up the escalation ladder until a tier extracts data
+ * @param {object} args - Tool arguments including url and the JSON-encoded extract_rules
+ * @param {string[]} names - ScrapingBee parameters the tool accepts
+ * @returns {Promise<object>} tier that worked (null when every tier came back empty), ceiling,
+ *   tiers tried, creditsSpent, and the last extraction (data, creditsCost, cache, attempts)
+ * @throws {Error} Errors other than blocks, or the block at the ceiling, with the report in error.escalation
+ */
+export async function extractWithEscalation(args, names) {
+  const ceiling = args.escalation_ceiling || 'stealth';
+  const tiers = [];
+  let creditsSpent = 0;
+  let last = {};
+
+  for (const { tier, params } of planEscalation(args)) {
+    try {
+      const extraction = await fetchExtraction({ ...args, ...params }, names);
+      creditsSpent += extraction.creditsCost ?? estimateCreditCost(params);
+
+      const outcome = checkIfEmpty(extraction.data) ? 'empty' : 'success';
+      tiers.push({ tier, outcome, creditsCost: extraction.creditsCost, cached: extraction.cache.cached });
+      last = { extraction };
+      if (outcome === 'success') return { tier, ceiling, tiers, creditsSpent, extraction };
+    } catch (error) {
+      creditsSpent += getErrorCreditsCost(error) || 0;
+
+      const blocked = isBlocked(error);
+      tiers.push({
+        tier,
+        outcome: blocked ? 'blocked' : 'error',
+        creditsCost: getErrorCreditsCost(error),
+        ...(error.scrapingBeeError && { statusCode: error.scrapingBeeError.statusCode }),
+        error: error.message
+      });
+
+      // Only blocks are worth paying for a stronger tier; anything else fails the same way there
+      if (!blocked) {
+        error.escalation = { tier: null, ceiling, tiers, creditsSpent };
+        throw error;
+      }
+      last = { error };
+    }
+  }
+
+  if (last.error) {
+    last.error.escalation = { tier: null, ceiling, tiers, creditsSpent };
+    throw last.error;
+  }
+  return { tier: null, ceiling, tiers, creditsSpent, extraction: last.extraction };
+}
@@ -0,0 +1,262 @@
+import { DOMParser } from '@xmldom/xmldom';
+import * as cheerio from 'cheerio';
+import xpath from 'xpath';
+
+// "a@href" shorthand: selector followed by an attribute output
+const ATTRIBUTE_SHORTHAND = /^(.*[^\s])(@[\w:.-]+)$/;
+
+// Temporary attribute linking XPath results back to the cheerio elements
+const NODE_ID_ATTR = 'data-spb-node-id';
+
+// Attribute names that survive XML serialization (drops Vue/Alpine style @click, :class, ...)
+const XML_ATTRIBUTE_NAME = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Normalize a rule into its object form
+ * @param {string|object} rule - Shorthand selector string or full rule object
+ * @returns {object} Rule with selector, selector_type, type, output and clean
+ */
+export function normalizeRule(rule) {
+  if (typeof rule === 'string') {
+    const match = rule.match(ATTRIBUTE_SHORTHAND);
+    if (match && !match[1].endsWith('[') && !isXPath(rule)) {
+      return { selector: match[1], selector_type: 'auto', type: 'item', output: match[2], clean: true };
+    }
+    return { selector: rule, selector_type: 'auto', type: 'item', output: 'text', clean: true };
+  }
+
+  // Legacy {"type": "table"} form
+  if (rule.type === 'table') {
+    return { ...normalizeRule({ ...rule, type: 'item' }), output: rule.output || 'table_array' };
+  }
+
+  return {
+    ...rule,
+    selector_type: rule.selector_type || 'auto',
+    type: rule.type || 'item',
+    output: rule.output || 'text',
+    clean: rule.clean !== false
+  };
+}
+
+/**
+ * Detect XPath selectors the way ScrapingBee's selector_type=auto does
+ * @param {string} selector - CSS or XPath selector
+ * @returns {boolean} True when the selector is XPath
+ */
+export function isXPath(selector) {
+  return /^\s*(\/|\.\/|\.\.\/|\()/.test(selector);
+}
+
+/**
+ * Apply ScrapingBee extract_rules to an HTML document
+ * @param {string} html - Page HTML
+ * @param {object} rules - Parsed extract_rules object
+ * @returns {object} Extracted data keyed like the rules
+ * @throws {Error} INVALID_SELECTOR error naming the failing field
+ */
+export function applyExtractRules(html, rules) {
+  const document = { $: cheerio.load(html), xml: null };
+  return evaluateRules(document, document.$.root()[0], rules, []);
+}
+
+function evaluateRules(document, scope, rules, path) {
+  const result = {};
+  for (const [key, rule] of Object.entries(rules)) {
+    result[key] = evaluateRule(document, scope, normalizeRule(rule), [...path, key]);
+  }
+  return result;
+}
+
+/**
+ * Count the elements each top-level rule's selector matches in a document
+ * @param {string} html - Page HTML
+ * @param {object} rules - Parsed extract_rules object
+ * @returns {object} Match count per field, null where the selector cannot be evaluated
+ */
+export function countSelectorMatches(html, rules) {
+  const document = { $: cheerio.load(html), xml: null };
+  const scope = document.$.root()[0];
+
+  return Object.fromEntries(Object.entries(rules).map(([key, rule]) => {
+    try {
+      return [key, selectElements(document, scope, normalizeRule(rule)).length];
+    } catch (e) {
+      return [key, null];
+    }
+  }));
+}
+
+function selectElements(document, scope, rule) {
+  const useXPath = rule.selector_type === 'xpath' || (rule.selector_type === 'auto' && isXPath(rule.selector));
+  return useXPath
+    ? selectXPath(document, scope, rule.selector)
+    : document.$(scope).find(rule.selector).toArray();
+}
+
+function evaluateRule(document, scope, rule, path) {
+  let matches;
+  try {
+    matches = selectElements(document, scope, rule);
+  } catch (e) {
+    const error = new Error(`Invalid selector for "${path.join('.')}": ${e.message}`);
+    error.errorCategory = 'INVALID_SELECTOR';
+    error.field = path.join('.');
+    error.selector = rule.selector;
+    error.suggestions = [
+      'Check the selector syntax',
+      'XPath selectors must start with / or ./ (or set selector_type: "xpath")',
+      'Use class names and IDs instead of pseudo-selectors'
+    ];
+    throw error;
+  }
+
+  if (rule.type === 'list') {
+    return matches.map(match => extractOutput(document, match, rule, path));
+  }
+
+  if (matches.length === 0) return null;
+  return extractOutput(document, matches[0], rule, path);
+}
+
+function extractOutput(document, match, rule, path) {
+  const { $ } = document;
+  const { output } = rule;
+
+  // XPath can select attribute and text nodes, which only have a string value
+  if (typeof match === 'string') {
+    if (output !== 'text') return null;
+    return rule.clean ? cleanText(match) : match;
+  }
+
+  if (output && typeof output === 'object') {
+    return evaluateRules(document, match, output, path);
+  }
+
+  if (output === 'html') {
+    return $.html(match);
+  }
+
+  if (output === 'table_json' || output === 'table_array' || output === 'table') {
+    return extractTable($, match, output === 'table_json');
+  }
+
+  if (typeof output === 'string' && output.startsWith('@')) {
+    return $(match).attr(output.slice(1)) ?? null;
+  }
+
+  const text = $(match).text();
+  return rule.clean ? cleanText(text) : text;
+}
+
+/**
+ * Extract an HTML table as rows of cell text
+ * @param {cheerio.CheerioAPI} $ - Loaded document
+ * @param {object} table - The <table> element
+ * @param {boolean} asJson - Key cells by header text (table_json) instead of position (table_array)
+ * @returns {Array} Array of row arrays, or array of row objects
+ */
+function extractTable($, table, asJson) {
+  const rows = $(table).find('tr').toArray()
+    .filter(row => $(row).closest('table')[0] === table);
+
+  const headerRow = rows.find(row => $(row).children('th').length > 0 && $(row).children('td').length === 0);
+  const headers = headerRow
+    ? $(headerRow).children('th').toArray().map(cell => cleanText($(cell).text()))
+    : [];
+
+  const dataRows = rows
+    .filter(row => row !== headerRow)
+    .map(row => $(row).children('td, th').toArray().map(cell => cleanText($(cell).text())));
+
+  if (!asJson) return dataRows;
+
+  return dataRows.map(cells => Object.fromEntries(
+    cells.map((cell, i) => [headers[i] || String(i), cell])
+  ));
+}
+
+/**
+ * Evaluate an XPath expression relative to a cheerio node.
+ * The document is serialized to XML once, with every element tagged so the
+ * XPath results can be mapped back to cheerio elements.
+ * @returns {Array} cheerio elements, or strings for attribute/text/primitive results
+ */
+function selectXPath(document, scope, expression) {
+  const xml = getXmlDocument(document);
+  const contextNode = scope.type === 'root'
+    ? xml.doc
+    : xml.nodesById.get(xml.idsByElement.get(scope));
+
+  const selected = xpath.select(expression, contextNode);
+  const results = Array.isArray(selected) ? selected : [selected];
+
+  return results.map(node => {
+    if (node === null || typeof node !== 'object') return String(node);
+    if (node.nodeType === 1) {
+      return xml.elements[Number(node.getAttribute(NODE_ID_ATTR))];
+    }
+    return node.nodeValue ?? node.textContent ?? '';
+  });
+}
+
+function getXmlDocument(document) {
+  if (document.xml) return document.xml;
+
+  const { $ } = document;
+  const elements = $('*').toArray();
+  const idsByElement = new Map();
+  elements.forEach((element, i) => {
+    idsByElement.set(element, String(i));
+    $(element).attr(NODE_ID_ATTR, String(i));
+  });
+
+  // Serialize a copy so the original document is left untouched
+  const copy = cheerio.load($.html());
+  elements.forEach(element => $(element).removeAttr(NODE_ID_ATTR));
+
+  copy('*').each((_, element) => {
+    for (const name of Object.keys(element.attribs)) {
+      // xmlns would move every element into a namespace and break //div style paths
+      if (name === 'xmlns' || name.includes(':') || !XML_ATTRIBUTE_NAME.test(name)) {
+        delete element.attribs[name];
+      }
+    }
+  });
+
+  const doc = new DOMParser({ onError: () => {} }).parseFromString(copy.xml(), 'text/xml');
+
+  const nodesById = new Map();
+  for (const node of xpath.select(`//*[@${NODE_ID_ATTR}]`, doc)) {
+    nodesById.set(node.getAttribute(NODE_ID_ATTR), node);
+  }
+
+  document.xml = { doc, elements, idsByElement, nodesById };
+  return document.xml;
+}
+
+/**
+ * Collapse whitespace the way ScrapingBee's clean option does
+ * @param {string} text - Raw element text
+ * @returns {string} Trimmed text with single spaces
+ */
+export function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check if an extraction result is empty (recursively)
+ * @param {any} data - Extracted data
+ * @returns {boolean} True when no value contains data
+ */
+export function checkIfEmpty(data) {
+  if (data === null || data === undefined) return true;
+  if (typeof data === 'string' && data.trim() === '') return true;
+  if (Array.isArray(data) && data.length === 0) return true;
+  if (typeof data === 'object') {
+    const values = Object.values(data);
+    if (values.length === 0) return true;
+    return values.every(v => checkIfEmpty(v));
+  }
+  return false;
+}
@@ -0,0 +1,77 @@
+import { getCacheStatus } from './cache.js';
+import { checkIfEmpty } from './extract-rules.js';
+import { getAttemptHistory } from './retry.js';
+import { callScrapingBee, getCreditsCost, requireApiKey } from './scrapingbee.js';
+import { buildScrapingBeeRequest } from './scrapingbee-params.js';
+
+/**
+ * Build the ScrapingBee request that runs extract_rules against a page
+ * @param {object} args - Tool arguments including url and the JSON-encoded extract_rules
+ * @param {string[]} names - ScrapingBee parameters the tool accepts
+ * @param {string} [apiKey] - Left out for dry runs
+ * @returns {{ queryParams: URLSearchParams, headers: object, appliedParams: object }}
+ */
+export function buildExtractionRequest(args, names, apiKey) {
+  return buildScrapingBeeRequest(args, names, {
+    ...(apiKey && { api_key: apiKey }),
+    url: args.url,
+    extract_rules: args.extract_rules
+  });
+}
+
+/**
+ * Run extract_rules against a live page through ScrapingBee
+ * @param {object} args - Tool arguments including url, the JSON-encoded extract_rules and bypass_cache
+ * @param {string[]} names - ScrapingBee parameters the tool accepts
+ * @returns {Promise<{ data: any, creditsCost: number|null, cache: object, attempts: object[] }>} Extracted data (plain text when not JSON)
+ * @throws {Error} Errors from callScrapingBee
+ */
+export async function fetchExtraction(args, names) {
+  const { url } = args;
+  const { queryParams, headers, appliedParams } = buildExtractionRequest(args, names, requireApiKey());
+
+  const response = await callScrapingBee(queryParams, {
+    url,
+    appliedParams: { ...appliedParams, hasExtractRules: true },
+    headers,
+    bypassCache: args.bypass_cache === true
+  });
+  const responseText = await response.text();
+
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch (e) {
+    // Response might be plain text
+    data = responseText;
+  }
+
+  return {
+    data,
+    creditsCost: getCreditsCost(response),
+    cache: getCacheStatus(response),
+    attempts: getAttemptHistory(response)
+  };
+}
+
+/**
+ * Names of the top-level rule fields that came back empty
+ * @param {any} data - Extraction result
+ * @param {object} rules - Parsed extract_rules
+ * @returns {string[]} Empty field names, in rule order
+ */
+export function findEmptyFields(data, rules) {
+  const fields = Object.keys(rules);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return fields;
+  return fields.filter(field => checkIfEmpty(data[field]));
+}
+
+/**
+ * Credits reported for a failed request, when ScrapingBee charged any
+ * @param {Error} error - Error thrown by callScrapingBee
+ * @returns {number|null}
+ */
+export function getErrorCreditsCost(error) {
+  const cost = error?.scrapingBeeError?.creditsCost;
+  return cost === undefined || Number.isNaN(Number(cost)) ? null : Number(cost);
+}
@@ -0,0 +1,173 @@
+import { checkIfEmpty, countSelectorMatches, normalizeRule } from './extract-rules.js';
+import { getPage, listPages, storePage } from './page-store.js';
+import { callScrapingBee, getCreditsCost, requireApiKey } from './scrapingbee.js';
+import { buildScrapingBeeRequest } from './scrapingbee-params.js';
+import { BROWSER_ONLY_PARAMS } from './validation.js';
+
+/**
+ * Field-by-field report of an extraction: which rules matched, which came
+ * back empty, how many items each list returned, and for empty fields
+ * whether their selector matches the raw (render_js=false) or the rendered
+ * page HTML, so the rule that needs fixing and the fix are clear.
+ */
+
+// Dropped from the raw fetch, where there is no browser to run or wait in
+const RAW_FETCH_DROPPED_PARAMS = [...BROWSER_ONLY_PARAMS, 'js_scenario', 'wait', 'wait_for', 'screenshot'];
+
+// Tool option accepted by the extraction tools
+export const DIAGNOSE_OPTIONS = {
+  diagnose_html: {
+    type: 'boolean',
+    description: 'When fields come back empty, fetch the page HTML without and with render_js to check where their selectors match (about 1 + 5 credits without proxies; pages already fetched with get_page_html are reused for free). Default: only reuse pages already fetched'
+  }
+};
+
+function isRendered(appliedParams) {
+  return appliedParams.render_js !== false && appliedParams.render_js !== 'false';
+}
+
+/**
+ * Status of each top-level rule in the extracted data
+ * @param {any} data - Extraction result
+ * @param {object} rules - Parsed extract_rules
+ * @returns {object[]} field, selector, type, status (matched, empty, null or missing), and for lists
+ *   itemCount, emptyItems and emptyOutputFields (output keys empty in every item)
+ */
+export function describeFields(data, rules) {
+  const isObject = data !== null && typeof data === 'object' && !Array.isArray(data);
+
+  return Object.entries(rules).map(([field, rule]) => {
+    const { selector, type } = normalizeRule(rule);
+    const value = isObject ? data[field] : undefined;
+
+    let status = 'matched';
+    if (value === undefined) status = 'missing';
+    else if (value === null) status = 'null';
+    else if (checkIfEmpty(value)) status = 'empty';
+
+    const entry = { field, selector, type, status };
+    if (type !== 'list' || !Array.isArray(value)) return entry;
+
+    const emptyItems = value.filter(item => checkIfEmpty(item)).length;
+    const outputKeys = rule.output && typeof rule.output === 'object' ? Object.keys(rule.output) : [];
+    const emptyOutputFields = value.length > 0
+      ? outputKeys.filter(key => value.every(item => checkIfEmpty(item?.[key])))
+      : [];
+
+    return {
+      ...entry,
+      itemCount: value.length,
+      ...(emptyItems > 0 && { emptyItems }),
+      ...(emptyOutputFields.length > 0 && { emptyOutputFields })
+    };
+  });
+}
+
+/**
+ * Most recent stored page for a URL fetched with or without rendering
+ */
+function findStoredPage(url, rendered) {
+  const page = listPages()
+    .filter(candidate => candidate.url === url)
+    .reverse()
+    .map(candidate => ({ handle: candidate.handle, ...getPage(candidate.handle) }))
+    .find(candidate => candidate.html !== undefined && isRendered(candidate.appliedParams) === rendered);
+  return page ? { handle: page.handle, html: page.html, source: 'stored' } : null;
+}
+
+async function fetchPage(args, names, renderJs) {
+  const params = renderJs
+    ? { ...args, render_js: true }
+    : Object.fromEntries(Object.entries({ ...args, render_js: false }).filter(([name]) => !RAW_FETCH_DROPPED_PARAMS.includes(name)));
+  const { queryParams, headers, appliedParams } = buildScrapingBeeRequest(params, names, {
+    api_key: requireApiKey(),
+    url: args.url
+  });
+  const response = await callScrapingBee(queryParams, { url: args.url, appliedParams, headers });
+  const html = await response.text();
+
+  // Kept like a get_page_html fetch, so the model can read it without paying again
+  const handle = storePage({ html, url: args.url, appliedParams });
+  return { handle, html, source: 'fetched', creditsCost: getCreditsCost(response) ?? 0 };
+}
+
+function hintFor(rawMatches, renderedMatches, extractedRendered) {
+  if (rawMatches === null && renderedMatches === null) return null;
+
+  if (rawMatches === 0 && renderedMatches > 0) {
+    return extractedRendered
+      ? 'The selector only matches after JavaScript runs. Add wait_for with this selector so ScrapingBee waits for it'
+      : 'The selector only matches after JavaScript runs. Set render_js to true';
+  }
+  if (rawMatches > 0 || renderedMatches > 0) {
+    return 'The selector matches, so the output is what comes back empty: check the attribute or output type, and whether the element has text';
+  }
+  if (rawMatches === null || renderedMatches === null) {
+    return `The selector matches nothing in the ${rawMatches === null ? 'rendered' : 'raw'} HTML. Pass diagnose_html to check the ${rawMatches === null ? 'raw' : 'rendered'} HTML too, or pick another selector from get_page_html with output_format "outline"`;
+  }
+  return 'The selector matches nothing in the raw or the rendered HTML. Pick another one from get_page_html with output_format "outline"';
+}
+
+/**
+ * Check where the selectors of empty fields match: in the raw and in the rendered page HTML
+ * @param {object} options
+ * @param {object} options.args - Tool arguments used for the extraction (url and ScrapingBee parameters)
+ * @param {string[]} options.names - ScrapingBee parameters the tool accepts
+ * @param {object} options.rules - Parsed extract_rules
+ * @param {object[]} options.fields - Report from describeFields
+ * @param {boolean} options.fetch - Fetch HTML that is not already stored
+ * @returns {Promise<{ fields: object[], html: object, creditsCost: number, notes?: string[] }>} Fields with
+ *   rawHtmlMatches, renderedHtmlMatches and hint added to empty ones, the HTML used (handle and source per
+ *   variant), the credits spent fetching it, and why HTML is missing
+ */
+export async function diagnoseEmptyFields({ args, names, rules, fields, fetch }) {
+  const emptyFields = fields.filter(entry => entry.status !== 'matched');
+  if (emptyFields.length === 0) return { fields, html: {}, creditsCost: 0 };
+
+  const html = { raw: findStoredPage(args.url, false), rendered: findStoredPage(args.url, true) };
+  const notes = [];
+  let creditsCost = 0;
+
+  if (fetch) {
+    for (const variant of ['raw', 'rendered']) {
+      if (html[variant]) continue;
+      // Stealth proxies only work with the headless browser
+      if (variant === 'raw' && args.stealth_proxy) {
+        notes.push('Raw HTML was not fetched: stealth_proxy requires render_js');
+        continue;
+      }
+      try {
+        html[variant] = await fetchPage(args, names, variant === 'rendered');
+        creditsCost += html[variant].creditsCost;
+      } catch (error) {
+        notes.push(`Could not fetch the ${variant} HTML: ${error.message}`);
+      }
+    }
+  } else if (!html.raw || !html.rendered) {
+    notes.push('Pass diagnose_html: true, or fetch the page with get_page_html with and without render_js, to see where the selectors of empty fields match');
+  }
+
+  const emptyRules = Object.fromEntries(emptyFields.map(entry => [entry.field, rules[entry.field]]));
+  const rawCounts = html.raw && countSelectorMatches(html.raw.html, emptyRules);
+  const renderedCounts = html.rendered && countSelectorMatches(html.rendered.html, emptyRules);
+  const extractedRendered = isRendered(args);
+
+  return {
+    fields: fields.map(entry => {
+      if (entry.status === 'matched' || (!rawCounts && !renderedCounts)) return entry;
+      const rawMatches = rawCounts ? rawCounts[entry.field] : null;
+      const renderedMatches = renderedCounts ? renderedCounts[entry.field] : null;
+      return {
+        ...entry,
+        rawHtmlMatches: rawMatches,
+        renderedHtmlMatches: renderedMatches,
+        hint: hintFor(rawMatches, renderedMatches, extractedRendered)
+      };
+    }),
+    html: Object.fromEntries(
+      Object.entries(html).map(([variant, page]) => [variant, page && { handle: page.handle, source: page.source }])
+    ),
+    creditsCost,
+    ...(notes.length > 0 && { notes })
+  };
+}
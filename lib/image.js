@@ -0,0 +1,84 @@
+/**
+ * Screenshot post-processing: downscaling and JPEG re-encoding.
+ * Uses the optional sharp dependency; without it images are returned unchanged.
+ */
+
+// Keep image content blocks comfortably below typical MCP client message limits
+export const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Smallest width automatic shrinking will go down to
+const MIN_AUTO_WIDTH = 320;
+
+let sharpLoader;
+
+/**
+ * Load sharp lazily so the server still starts when it is not installed
+ * @returns {Promise<Function|null>} The sharp factory, or null
+ */
+function loadSharp() {
+  if (!sharpLoader) {
+    sharpLoader = import('sharp')
+      .then(module => module.default)
+      .catch(() => null);
+  }
+  return sharpLoader;
+}
+
+/**
+ * Resize and/or re-encode a screenshot
+ * @param {Buffer} buffer - Image returned by ScrapingBee
+ * @param {string} mimeType - Its MIME type
+ * @param {object} options
+ * @param {number} [options.maxWidth] - Downscale to at most this width (keeps aspect ratio)
+ * @param {'png'|'jpeg'} [options.format] - Re-encode to this format
+ * @param {number} [options.quality] - JPEG quality (1-100)
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, width?: number, height?: number, transformed: boolean, warnings: string[] }>}
+ */
+export async function processImage(buffer, mimeType, { maxWidth, format, quality = 80 } = {}) {
+  const warnings = [];
+  const needsWork = maxWidth || format || buffer.length > MAX_IMAGE_BYTES;
+  const sharp = needsWork ? await loadSharp() : null;
+
+  if (!sharp) {
+    if (needsWork) {
+      warnings.push('Image processing is unavailable (optional dependency "sharp" is not installed); returning the original image');
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      warnings.push(`Image is ${buffer.length} bytes, above the ${MAX_IMAGE_BYTES} byte limit some clients enforce`);
+    }
+    return { buffer, mimeType, transformed: false, warnings };
+  }
+
+  const metadata = await sharp(buffer).metadata();
+  let width = maxWidth ? Math.min(maxWidth, metadata.width) : metadata.width;
+  let outputFormat = format || (mimeType === 'image/jpeg' ? 'jpeg' : 'png');
+
+  let output = await encode(sharp, buffer, width, outputFormat, quality);
+
+  // Full-page captures can be huge: switch to JPEG, then halve the width until it fits
+  if (output.data.length > MAX_IMAGE_BYTES && outputFormat === 'png') {
+    outputFormat = 'jpeg';
+    output = await encode(sharp, buffer, width, outputFormat, quality);
+    warnings.push('Re-encoded as JPEG to stay under the image size limit');
+  }
+  while (output.data.length > MAX_IMAGE_BYTES && width / 2 >= MIN_AUTO_WIDTH) {
+    width = Math.floor(width / 2);
+    output = await encode(sharp, buffer, width, outputFormat, quality);
+    warnings.push(`Downscaled to ${width}px wide to stay under the image size limit`);
+  }
+
+  return {
+    buffer: output.data,
+    mimeType: `image/${outputFormat}`,
+    width: output.info.width,
+    height: output.info.height,
+    transformed: output.info.width !== metadata.width || outputFormat !== (mimeType === 'image/jpeg' ? 'jpeg' : 'png'),
+    warnings
+  };
+}
+
+function encode(sharp, buffer, width, format, quality) {
+  const pipeline = sharp(buffer).resize({ width, withoutEnlargement: true });
+  const encoded = format === 'jpeg' ? pipeline.jpeg({ quality }) : pipeline.png();
+  return encoded.toBuffer({ resolveWithObject: true });
+}
@@ -0,0 +1,230 @@
+/**
+ * Validation and construction of ScrapingBee js_scenario objects.
+ * See https://www.scrapingbee.com/documentation/javascript-scenario/
+ */
+
+// ScrapingBee aborts scenarios that run longer than this
+export const MAX_SCENARIO_DURATION_MS = 40000;
+
+const INFINITE_SCROLL_KEYS = ['max_count', 'delay', 'end_click'];
+
+/**
+ * Per-instruction validators. Each returns an error message, or null when valid.
+ */
+const INSTRUCTION_VALIDATORS = {
+  wait: value => isNonNegativeInteger(value) ? null : 'wait must be a non-negative integer (milliseconds)',
+  wait_for: value => isSelector(value) ? null : 'wait_for must be a non-empty CSS/XPath selector string',
+  wait_for_and_click: value => isSelector(value) ? null : 'wait_for_and_click must be a non-empty CSS/XPath selector string',
+  click: value => isSelector(value) ? null : 'click must be a non-empty CSS/XPath selector string',
+  fill: value => Array.isArray(value) && value.length === 2 && isSelector(value[0]) && typeof value[1] === 'string'
+    ? null
+    : 'fill must be a [selector, value] array, e.g. {"fill": ["#search", "coffee"]}',
+  scroll_x: value => Number.isInteger(value) ? null : 'scroll_x must be an integer number of pixels',
+  scroll_y: value => Number.isInteger(value) ? null : 'scroll_y must be an integer number of pixels',
+  infinite_scroll: validateInfiniteScroll,
+  evaluate: value => typeof value === 'string' && value.trim() !== '' ? null : 'evaluate must be a non-empty JavaScript string'
+};
+
+export const INSTRUCTION_TYPES = Object.keys(INSTRUCTION_VALIDATORS);
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isSelector(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function validateInfiniteScroll(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'infinite_scroll must be an object, e.g. {"infinite_scroll": {"max_count": 5, "delay": 1000}}';
+  }
+  const unknown = Object.keys(value).filter(key => !INFINITE_SCROLL_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `infinite_scroll has unknown key(s) ${unknown.join(', ')}; allowed: ${INFINITE_SCROLL_KEYS.join(', ')}`;
+  }
+  if (value.max_count !== undefined && !isNonNegativeInteger(value.max_count)) {
+    return 'infinite_scroll.max_count must be a non-negative integer (0 = scroll until the end)';
+  }
+  if (value.delay !== undefined && !isNonNegativeInteger(value.delay)) {
+    return 'infinite_scroll.delay must be a non-negative integer (milliseconds)';
+  }
+  if (value.end_click !== undefined && !isSelector(value.end_click?.selector)) {
+    return 'infinite_scroll.end_click must be {"selector": "..."}';
+  }
+  return null;
+}
+
+/**
+ * Estimate how long an instruction keeps the browser busy
+ * @returns {number|null} Milliseconds, or null when unbounded
+ */
+function instructionDuration(type, value) {
+  if (type === 'wait') return value;
+  if (type === 'infinite_scroll') {
+    const delay = value.delay ?? 1000;
+    return value.max_count ? value.max_count * delay : null;
+  }
+  return 0;
+}
+
+/**
+ * Validate a parsed js_scenario against ScrapingBee's rules
+ * @param {any} scenario - Parsed js_scenario value
+ * @returns {{ valid: boolean, errors: object[], warnings: object[], estimatedDurationMs: number }}
+ */
+export function validateJsScenario(scenario) {
+  const errors = [];
+  const warnings = [];
+  let estimatedDurationMs = 0;
+
+  if (Array.isArray(scenario)) {
+    errors.push({
+      index: null,
+      message: 'js_scenario must be an object with an "instructions" array, not a bare array',
+      suggestion: scenario.length === 0
+        ? 'Omit js_scenario entirely when no browser actions are needed'
+        : `Wrap it: {"instructions": ${JSON.stringify(scenario).substring(0, 100)}}`
+    });
+    return { valid: false, errors, warnings, estimatedDurationMs };
+  }
+
+  if (!scenario || typeof scenario !== 'object') {
+    errors.push({ index: null, message: 'js_scenario must be an object: {"instructions": [...]}' });
+    return { valid: false, errors, warnings, estimatedDurationMs };
+  }
+
+  for (const key of Object.keys(scenario)) {
+    if (key !== 'instructions' && key !== 'strict') {
+      errors.push({ index: null, message: `Unknown js_scenario key "${key}"; allowed: instructions, strict` });
+    }
+  }
+
+  if (scenario.strict !== undefined && typeof scenario.strict !== 'boolean') {
+    errors.push({ index: null, message: 'strict must be true or false' });
+  }
+
+  const { instructions } = scenario;
+  if (!Array.isArray(instructions) || instructions.length === 0) {
+    errors.push({
+      index: null,
+      message: '"instructions" must be a non-empty array',
+      suggestion: 'Omit js_scenario entirely when no browser actions are needed'
+    });
+    return { valid: false, errors, warnings, estimatedDurationMs };
+  }
+
+  instructions.forEach((instruction, index) => {
+    if (!instruction || typeof instruction !== 'object' || Array.isArray(instruction)) {
+      errors.push({ index, instruction, message: 'Each instruction must be an object such as {"click": ".button"}' });
+      return;
+    }
+
+    const keys = Object.keys(instruction);
+    if (keys.length !== 1) {
+      errors.push({
+        index,
+        instruction,
+        message: `Each instruction must have exactly one action, found ${keys.length}`,
+        suggestion: 'Split it into one instruction per action'
+      });
+      return;
+    }
+
+    const [type] = keys;
+    const validate = INSTRUCTION_VALIDATORS[type];
+    if (!validate) {
+      errors.push({
+        index,
+        instruction,
+        message: `Unknown instruction "${type}"`,
+        suggestion: `Supported instructions: ${INSTRUCTION_TYPES.join(', ')}`
+      });
+      return;
+    }
+
+    const message = validate(instruction[type]);
+    if (message) {
+      errors.push({ index, instruction, message });
+      return;
+    }
+
+    const duration = instructionDuration(type, instruction[type]);
+    if (duration === null) {
+      warnings.push({
+        index,
+        instruction,
+        message: `infinite_scroll without max_count scrolls until the page ends and may hit the ${MAX_SCENARIO_DURATION_MS / 1000}s scenario limit`
+      });
+    } else {
+      estimatedDurationMs += duration;
+    }
+  });
+
+  if (estimatedDurationMs > MAX_SCENARIO_DURATION_MS) {
+    errors.push({
+      index: null,
+      message: `Scenario waits add up to ${estimatedDurationMs}ms, over ScrapingBee's ${MAX_SCENARIO_DURATION_MS}ms limit`,
+      suggestion: 'Reduce wait values or use wait_for with a selector instead of fixed waits'
+    });
+  }
+
+  return { valid: errors.length === 0, errors, warnings, estimatedDurationMs };
+}
+
+/**
+ * Turn structured builder steps into a js_scenario object
+ * @param {object[]} steps - e.g. [{ action: 'click', selector: '.more' }, { action: 'wait', ms: 1000 }]
+ * @param {object} [options]
+ * @param {boolean} [options.strict] - Stop the scenario when an instruction fails
+ * @returns {{ scenario?: object, errors: object[] }}
+ */
+export function buildJsScenario(steps, { strict } = {}) {
+  const errors = [];
+  const instructions = [];
+
+  steps.forEach((step, index) => {
+    const { action } = step || {};
+    switch (action) {
+      case 'wait':
+        instructions.push({ wait: step.ms });
+        break;
+      case 'wait_for':
+      case 'wait_for_and_click':
+      case 'click':
+        instructions.push({ [action]: step.selector });
+        break;
+      case 'fill':
+        instructions.push({ fill: [step.selector, step.value] });
+        break;
+      case 'scroll_x':
+      case 'scroll_y':
+        instructions.push({ [action]: step.pixels });
+        break;
+      case 'infinite_scroll': {
+        const options = {};
+        if (step.max_count !== undefined) options.max_count = step.max_count;
+        if (step.delay !== undefined) options.delay = step.delay;
+        if (step.end_click_selector) options.end_click = { selector: step.end_click_selector };
+        instructions.push({ infinite_scroll: options });
+        break;
+      }
+      case 'evaluate':
+        instructions.push({ evaluate: step.code });
+        break;
+      default:
+        errors.push({
+          index,
+          step,
+          message: `Unknown action "${action}"`,
+          suggestion: `Supported actions: ${INSTRUCTION_TYPES.join(', ')}`
+        });
+    }
+  });
+
+  if (errors.length > 0) return { errors };
+
+  const scenario = { instructions };
+  if (strict !== undefined) scenario.strict = strict;
+  return { scenario, errors };
+}
@@ -0,0 +1,43 @@
+/**
+ * Output formats for fetched pages. The stored document is always the raw
+ * HTML; formats are applied when it is returned.
+ */
+import { buildOutline } from './dom-outline.js';
+import { htmlToMarkdown, htmlToText } from './readable.js';
+
+export const OUTPUT_FORMATS = ['html', 'outline', 'markdown', 'text'];
+
+export const OUTPUT_FORMAT_PARAM = {
+  type: 'string',
+  enum: OUTPUT_FORMATS,
+  description: 'html (default): the page HTML. outline: condensed element tree without scripts/styles, repeated siblings collapsed to one example plus a count, short text previews and a ScrapingBee-compatible CSS selector per node - best for finding selectors. markdown: the main content as clean Markdown with links and tables. text: the main content as readable plain text. markdown and text drop navigation, footers and cookie banners - best for reading a page'
+};
+
+/**
+ * Render a document in the requested output format
+ * @param {string} html - Document HTML
+ * @param {string} [format] - One of OUTPUT_FORMATS
+ * @param {object} [options]
+ * @param {string} [options.selector] - Limit the outline to the elements matching this CSS selector
+ * @param {string} [options.url] - Page URL, used to make Markdown and text links absolute
+ * @param {boolean} [options.fragment] - html is a selected part of the page; keep all of it instead of detecting the main content
+ * @returns {{ content: string, details: object }} Formatted text and format-specific statistics
+ */
+export function formatPage(html, format = 'html', { selector, url, fragment = false } = {}) {
+  switch (format) {
+    case 'outline': {
+      const { outline, ...details } = buildOutline(html, { selector });
+      return { content: outline, details };
+    }
+    case 'markdown': {
+      const { markdown, title } = htmlToMarkdown(html, { url, stripBoilerplate: !fragment });
+      return { content: markdown, details: { ...(title && { title }) } };
+    }
+    case 'text': {
+      const { text, title } = htmlToText(html, { url, stripBoilerplate: !fragment });
+      return { content: text, details: { ...(title && { title }) } };
+    }
+    default:
+      return { content: html, details: {} };
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * In-memory store of fetched documents, so large pages can be read in slices
+ * or by subtree without fetching them from ScrapingBee again.
+ */
+import { randomBytes } from 'node:crypto';
+import * as cheerio from 'cheerio';
+import { notifyResourceListChanged } from './resource-events.js';
+
+// Oldest documents are evicted once this many are stored
+const MAX_DOCUMENTS = 20;
+
+// Documents expire this long after they were fetched
+const DOCUMENT_TTL_MS = 30 * 60 * 1000;
+
+// Default slice size returned per read (MCP has message size limits)
+export const DEFAULT_READ_LENGTH = 50000;
+
+const documents = new Map();
+
+function pruneExpired(now = Date.now()) {
+  for (const [handle, document] of documents) {
+    if (now - document.fetchedAt > DOCUMENT_TTL_MS) documents.delete(handle);
+  }
+}
+
+/**
+ * Keep a fetched document and return its handle
+ * @param {object} document
+ * @param {string} document.html - Full document HTML
+ * @param {string} document.url - Target page URL
+ * @param {object} [document.appliedParams] - ScrapingBee parameters used for the fetch
+ * @returns {string} Handle for follow-up reads
+ */
+export function storePage({ html, url, appliedParams = {} }) {
+  pruneExpired();
+  while (documents.size >= MAX_DOCUMENTS) {
+    documents.delete(documents.keys().next().value);
+  }
+
+  const handle = `page_${randomBytes(6).toString('hex')}`;
+  documents.set(handle, { html, url, appliedParams, fetchedAt: Date.now() });
+  notifyResourceListChanged();
+  return handle;
+}
+
+/**
+ * Look up a stored document
+ * @param {string} handle - Handle returned by storePage
+ * @returns {{ html: string, url: string, appliedParams: object, fetchedAt: number }|null}
+ */
+export function getPage(handle) {
+  pruneExpired();
+  return documents.get(handle) || null;
+}
+
+/**
+ * Handles of the documents currently stored, oldest first
+ * @returns {{ handle: string, url: string, length: number, fetchedAt: string }[]}
+ */
+export function listPages() {
+  pruneExpired();
+  return [...documents].map(([handle, { html, url, fetchedAt }]) => ({
+    handle,
+    url,
+    length: html.length,
+    fetchedAt: new Date(fetchedAt).toISOString()
+  }));
+}
+
+/**
+ * Cut a slice out of a document
+ * @param {string} text - Full text
+ * @param {number} [offset] - Start position in characters
+ * @param {number} [length] - Maximum slice length in characters
+ * @returns {{ content: string, offset: number, length: number, totalLength: number, nextOffset: number|null }}
+ */
+export function readRange(text, offset = 0, length = DEFAULT_READ_LENGTH) {
+  const start = Math.min(offset, text.length);
+  const content = text.substring(start, start + length);
+  const end = start + content.length;
+
+  return {
+    content,
+    offset: start,
+    length: content.length,
+    totalLength: text.length,
+    nextOffset: end < text.length ? end : null
+  };
+}
+
+/**
+ * Outer HTML of every element matching a CSS selector
+ * @param {string} html - Full document HTML
+ * @param {string} selector - CSS selector
+ * @returns {string[]} One HTML string per match, in document order
+ */
+export function selectSubtrees(html, selector) {
+  const $ = cheerio.load(html);
+  let matches;
+  try {
+    matches = $(selector);
+  } catch (e) {
+    const error = new Error(`Invalid CSS selector "${selector}": ${e.message}`);
+    error.errorCategory = 'INVALID_SELECTOR';
+    error.selector = selector;
+    error.suggestions = ['Check the selector syntax, e.g. "#results" or "div.product-list"'];
+    throw error;
+  }
+  return matches.toArray().map(element => $.html(element));
+}
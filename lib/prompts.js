@@ -0,0 +1,121 @@
+/**
+ * MCP prompts: ready-made scraping workflows that chain the server's tools,
+ * shared by the stdio and the Streamable HTTP server. Each prompt renders
+ * to a single user message with numbered steps naming the tools to call.
+ */
+
+function optionalStep(condition, text) {
+  return condition ? text : null;
+}
+
+function steps(...items) {
+  return items.filter(Boolean).map((text, index) => `${index + 1}. ${text}`).join('\n');
+}
+
+const PROMPTS = [
+  {
+    name: 'build_extract_rules',
+    description: 'Build working extract_rules for a URL: outline the page, propose selectors, lint, test and refine until every field is filled',
+    arguments: [
+      { name: 'url', description: 'Page to extract from', required: true },
+      { name: 'fields', description: 'What to extract, e.g. "title, price, rating, image URL"', required: true },
+      { name: 'save_as', description: 'Save the working rules to the rule library under this name', required: false }
+    ],
+    render: ({ url, fields, save_as: saveAs }) => `Build ScrapingBee extract_rules that extract ${fields} from ${url}.
+
+${steps(
+  `Call get_page_html with url "${url}", render_js false and output_format "outline". The outline shows each element with a selector path that ScrapingBee's CSS supports; build the rules from those paths.`,
+  'If the outline has almost no content (an empty app shell, a "please enable JavaScript" notice), call get_page_html again with render_js true. If it shows a consent wall, a captcha or an access-denied page, call get_screenshot with the same url to see what ScrapingBee got.',
+  `Write one rule per requested field. Prefer ids and stable class names over deep paths; use "type": "list" for repeated elements and "selector@attr" (or "output": "@href") for attributes. Do not use :nth-child, :nth-of-type, :not or :has.`,
+  'Call lint_extract_rules with the rules and fix every error it reports. Use read_page_html with the handle and a selector to check a doubtful selector for free.',
+  `Call test_extract_rules with url "${url}", the rules, and render_js false unless step 2 needed JavaScript. If it returns EXTRACTION_EMPTY or some fields are empty, go back to the outline for those fields and retest. Add wait_for with a selector when content loads late.`,
+  optionalStep(saveAs, `When every field is filled, call save_rules with name "${saveAs}", domain "${url}", the rules and the ScrapingBee parameters they needed.`)
+)}
+
+Only report rules that test_extract_rules returned with success: true, together with the parameters they need and a sample of the extracted data.`
+  },
+  {
+    name: 'debug_empty_extraction',
+    description: 'Find out why extract_rules return empty or partial data on a URL and fix them',
+    arguments: [
+      { name: 'url', description: 'Page the rules fail on', required: true },
+      { name: 'extract_rules', description: 'The JSON-encoded extract_rules that come back empty', required: true },
+      { name: 'params', description: 'JSON object of the ScrapingBee parameters used, e.g. {"render_js": false}', required: false }
+    ],
+    render: ({ url, extract_rules: extractRules, params }) => `These extract_rules return empty or partial data on ${url}:
+
+${extractRules}
+${params ? `\nScrapingBee parameters used: ${params}\n` : ''}
+Find the cause and fix it.
+
+${steps(
+  'Call lint_extract_rules with the rules. Unsupported pseudo-selectors and invalid keys make ScrapingBee return nothing; fix those first.',
+  `Call get_page_html with url "${url}"${params ? ' and the same parameters' : ''}. Check for a block page, captcha, consent wall or login screen; if the HTML looks wrong, call get_screenshot with the same parameters to see the rendered page.`,
+  'For each empty field, call read_page_html with the handle and the field\'s selector. No match means the selector is wrong for this HTML: find the element in an output_format "outline" read and use its selector path.',
+  'If the elements are missing from the HTML but visible in the screenshot, they are rendered by JavaScript: fetch with render_js true, and add wait_for with the field\'s selector if they still load late.',
+  `If the page is blocked, call test_extract_rules with auto_escalate true to try premium and stealth proxies; use dry_run true or estimate_cost first to see the credits each tier costs.`,
+  `Call test_extract_rules with url "${url}", the fixed rules and parameters, and repeat until it returns success: true with every field filled.`
+)}
+
+Report the cause of the empty fields, the fixed rules and the parameters they need.`
+  },
+  {
+    name: 'extract_paginated_listing',
+    description: 'Extract every item of a paginated listing (products, search results, articles) across pages',
+    arguments: [
+      { name: 'url', description: 'First page of the listing', required: true },
+      { name: 'item_fields', description: 'Fields to extract per item, e.g. "name, price, product URL"', required: true },
+      { name: 'max_pages', description: 'Number of pages to crawl (default: 5)', required: false }
+    ],
+    render: ({ url, item_fields: itemFields, max_pages: maxPages = '5' }) => `Extract ${itemFields} for every item of the paginated listing at ${url}, across up to ${maxPages} pages.
+
+${steps(
+  `Call get_page_html with url "${url}", render_js false and output_format "outline". Repeated siblings are collapsed with a count (e.g. "div.product-card ×24"): that is the item container. Switch to render_js true if the items are missing.`,
+  `Write extract_rules with one "type": "list" field whose selector is the item container and whose "output" object has one selector per item field (${itemFields}), relative to the item. Use "selector@href" for links.`,
+  'Find the pagination: the selector of the "next page" link in the outline, or the page number in the URL of page 2 (e.g. ?page=2).',
+  'Call lint_extract_rules, then test_extract_rules on the first page, and refine until every item field is filled.',
+  `Call crawl_extract_rules with the rules, max_pages ${maxPages}, and next_page_selector or url_template (with a {page} placeholder) from step 3. Run it with dry_run true first and set max_credits to what you are willing to spend.`,
+  'Check the crawl result: the item count per page, the stop reason, and whether items repeat or pages came back empty.'
+)}
+
+Report the merged items, the pages visited, the credits spent, and the rules and pagination settings so the crawl can be repeated.`
+  }
+];
+
+// Prompt definitions as returned by prompts/list
+export const prompts = PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+
+function promptError(message) {
+  const error = new Error(message);
+  error.errorCategory = 'VALIDATION';
+  return error;
+}
+
+/**
+ * Render a prompt, as returned by prompts/get
+ * @param {string} name - Prompt name
+ * @param {object} [args] - Prompt arguments (strings)
+ * @returns {{ description: string, messages: object[] }}
+ * @throws {Error} VALIDATION error for an unknown prompt or a missing required argument
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw promptError(`Unknown prompt "${name}". Available prompts: ${PROMPTS.map(candidate => candidate.name).join(', ')}`);
+  }
+
+  // Blank arguments count as not given, so optional ones fall back to their defaults
+  const values = Object.fromEntries(
+    Object.entries(args || {}).filter(([, value]) => typeof value === 'string' && value.trim() !== '')
+  );
+  const missing = prompt.arguments.filter(arg => arg.required && !(arg.name in values)).map(arg => arg.name);
+  if (missing.length > 0) throw promptError(`Prompt "${name}" needs the argument(s): ${missing.join(', ')}`);
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text: prompt.render(values) }
+    }]
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Readable renderings of a page: Markdown and plain text of the main content,
+ * with navigation, footers, cookie banners and other boilerplate removed.
+ * Links (resolved against the page URL) and tables are kept in both formats.
+ */
+import * as cheerio from 'cheerio';
+import TurndownService from 'turndown';
+import { gfm } from 'turndown-plugin-gfm';
+
+// Elements that never hold readable content
+const NOISE_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, link, meta, form, button, input, select, textarea';
+
+// Page chrome around the main content
+const BOILERPLATE_SELECTOR = [
+  'nav',
+  'aside',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="dialog"]',
+  '[aria-hidden="true"]',
+  '[hidden]'
+].join(', ');
+
+// id/class fragments of cookie banners, popups and share widgets
+const BOILERPLATE_NAME = /(^|[-_\s])(cookie|consent|gdpr|banner|newsletter|popup|modal|share|social|breadcrumbs?|skip-link|advert|ads?)([-_\s]|$)/i;
+
+// Candidates for the main content, most specific first
+const MAIN_SELECTORS = ['main', '[role="main"]', 'article', '#content', '#main', '.content', '.main'];
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'ul'
+]);
+
+/**
+ * Load a document and reduce it to its main content
+ * @param {string} html - Page HTML
+ * @param {string} [url] - Page URL, used to make links absolute
+ * @param {boolean} [stripBoilerplate] - Remove page chrome and keep only the main content
+ * @returns {{ $: import('cheerio').CheerioAPI, root: object, title: string }}
+ */
+function loadMainContent(html, url, stripBoilerplate) {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim();
+
+  $(NOISE_SELECTOR).remove();
+  $('*').contents().filter((_, node) => node.type === 'comment').remove();
+  if (stripBoilerplate) {
+    $(BOILERPLATE_SELECTOR).remove();
+    // Article headers and footers often hold the title and byline, so keep those
+    $('header, footer').filter((_, element) => $(element).parents('article, main').length === 0).remove();
+    $('[id], [class]').not('html, body, main, article').filter((_, element) => {
+      const name = `${$(element).attr('id') || ''} ${$(element).attr('class') || ''}`;
+      return BOILERPLATE_NAME.test(name);
+    }).remove();
+  }
+
+  if (url) {
+    $('a[href], img[src]').each((_, element) => {
+      const attribute = element.tagName === 'a' ? 'href' : 'src';
+      try {
+        $(element).attr(attribute, new URL($(element).attr(attribute), url).href);
+      } catch (e) {
+        // Leave malformed URLs as they are
+      }
+    });
+  }
+
+  const main = stripBoilerplate && MAIN_SELECTORS.map(selector => $(selector).first()).find(match => match.length > 0);
+  const root = main || $('body').first();
+  return { $, root: root.length > 0 ? root : $.root(), title };
+}
+
+/**
+ * Give tables without a heading row one, so they convert to Markdown tables
+ */
+function promoteHeaderRows($, root) {
+  root.find('table').each((_, table) => {
+    const firstRow = $(table).find('tr').first();
+    if (firstRow.length === 0 || firstRow.children('th').length > 0) return;
+    firstRow.children('td').each((_, cell) => {
+      cell.tagName = 'th';
+    });
+  });
+}
+
+/**
+ * Convert a page to Markdown
+ * @param {string} html - Page HTML
+ * @param {object} [options]
+ * @param {string} [options.url] - Page URL, used to make links absolute
+ * @param {boolean} [options.stripBoilerplate] - Drop navigation, footers, banners, ... (default: true)
+ * @returns {{ markdown: string, title: string }}
+ */
+export function htmlToMarkdown(html, { url, stripBoilerplate = true } = {}) {
+  const { $, root, title } = loadMainContent(html, url, stripBoilerplate);
+  promoteHeaderRows($, root);
+
+  const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+  turndown.use(gfm);
+  turndown.addRule('dropImages', { filter: 'img', replacement: () => '' });
+  // Links wrapping whole cards or headings: keep the content readable, then the URL
+  turndown.addRule('blockLinks', {
+    filter: node => node.nodeName === 'A' && node.getAttribute('href') && node.querySelector('h1, h2, h3, h4, h5, h6, p, div, ul, ol, table') !== null,
+    replacement: (content, node) => `\n\n${content.trim()}\n\n<${node.getAttribute('href')}>\n\n`
+  });
+
+  const markdown = turndown.turndown($.html(root) || '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { markdown, title };
+}
+
+/**
+ * Convert a page to readable plain text
+ * @param {string} html - Page HTML
+ * @param {object} [options]
+ * @param {string} [options.url] - Page URL, used to make links absolute
+ * @param {boolean} [options.stripBoilerplate] - Drop navigation, footers, banners, ... (default: true)
+ * @returns {{ text: string, title: string }}
+ */
+export function htmlToText(html, { url, stripBoilerplate = true } = {}) {
+  const { $, root, title } = loadMainContent(html, url, stripBoilerplate);
+
+  const text = renderText($, root[0])
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { text, title };
+}
+
+function renderText($, node) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (!node.children) return '';
+
+  switch (node.tagName) {
+    case 'br':
+      return '\n';
+    case 'img':
+      return '';
+    case 'a': {
+      const label = renderChildren($, node).trim();
+      const href = $(node).attr('href');
+      return href && !href.startsWith('#') && !href.startsWith('javascript:') && label !== href
+        ? `${label} (${href})`
+        : label;
+    }
+    case 'li':
+      return `\n- ${renderChildren($, node).trim()}\n`;
+    case 'table':
+      return `\n\n${renderTable($, node)}\n\n`;
+    default: {
+      const content = renderChildren($, node);
+      return BLOCK_TAGS.has(node.tagName) ? `\n\n${content.trim()}\n\n` : content;
+    }
+  }
+}
+
+function renderChildren($, node) {
+  return node.children.map(child => renderText($, child)).join('');
+}
+
+function renderTable($, table) {
+  return $(table).find('tr').toArray()
+    .map(row => $(row).children('th, td').toArray()
+      .map(cell => renderChildren($, cell).replace(/\s+/g, ' ').trim())
+      .join(' | '))
+    .filter(row => row !== '')
+    .join('\n');
+}
@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Per tool call context (tool name, client session), available to shared code
+ * such as the ScrapingBee client without threading it through every tool.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {{ tool: string, sessionId: string }} context
+ * @param {Function} fn
+ * @returns {any} Whatever fn returns
+ */
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Context of the tool call currently running
+ * @returns {{ tool?: string, sessionId?: string }}
+ */
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
@@ -0,0 +1,161 @@
+/**
+ * Process-wide scheduler in front of every ScrapingBee request, so clients
+ * sharing one deployment stay within the plan's concurrency limit instead of
+ * getting 429s.
+ *
+ * SCRAPINGBEE_MAX_CONCURRENCY  requests in flight at once (default: 5)
+ * SCRAPINGBEE_QUEUE_TIMEOUT    seconds a request may wait for a free slot (default: 60)
+ * SCRAPINGBEE_QUEUE_FAIRNESS   fifo (default) or session: a free slot goes to the waiting
+ *                              client session with the fewest requests in flight, taking
+ *                              turns between sessions, so one big batch can't starve others
+ *
+ * Cache hits never take a slot.
+ */
+
+const FAIRNESS_MODES = ['fifo', 'session'];
+const DEFAULT_MAX_CONCURRENCY = 5;
+const DEFAULT_QUEUE_TIMEOUT_SECONDS = 60;
+
+const waiting = [];
+const activeBySession = new Map();
+// When each session last got a slot, for taking turns
+const lastServed = new Map();
+let active = 0;
+let served = 0;
+
+/**
+ * Current queue configuration
+ * @returns {{ maxConcurrency: number, timeoutMs: number, fairness: 'fifo'|'session' }}
+ * @throws {Error} CONFIGURATION error for an invalid setting
+ */
+export function getQueueConfig() {
+  const maxConcurrency = Number(process.env.SCRAPINGBEE_MAX_CONCURRENCY || DEFAULT_MAX_CONCURRENCY);
+  if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) {
+    const error = new Error(`Invalid SCRAPINGBEE_MAX_CONCURRENCY "${process.env.SCRAPINGBEE_MAX_CONCURRENCY}". Use a whole number of at least 1`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+
+  const timeout = Number(process.env.SCRAPINGBEE_QUEUE_TIMEOUT ?? DEFAULT_QUEUE_TIMEOUT_SECONDS);
+  if (!Number.isFinite(timeout) || timeout < 0) {
+    const error = new Error(`Invalid SCRAPINGBEE_QUEUE_TIMEOUT "${process.env.SCRAPINGBEE_QUEUE_TIMEOUT}". Use a number of seconds`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+
+  const fairness = (process.env.SCRAPINGBEE_QUEUE_FAIRNESS || 'fifo').toLowerCase();
+  if (!FAIRNESS_MODES.includes(fairness)) {
+    const error = new Error(`Invalid SCRAPINGBEE_QUEUE_FAIRNESS "${fairness}". Use one of: ${FAIRNESS_MODES.join(', ')}`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+
+  return { maxConcurrency, timeoutMs: timeout * 1000, fairness };
+}
+
+function take(sessionId) {
+  active++;
+  activeBySession.set(sessionId, (activeBySession.get(sessionId) || 0) + 1);
+  lastServed.set(sessionId, ++served);
+}
+
+function release(sessionId) {
+  active--;
+  const count = activeBySession.get(sessionId) - 1;
+  if (count > 0) activeBySession.set(sessionId, count);
+  else activeBySession.delete(sessionId);
+  if (count <= 0 && !waiting.some(waiter => waiter.sessionId === sessionId)) lastServed.delete(sessionId);
+  dispatch();
+}
+
+/**
+ * Index of the waiter that gets the next free slot
+ */
+function nextWaiter(fairness) {
+  if (fairness === 'fifo') return 0;
+
+  // Oldest request of the session with the fewest requests in flight, then the one served longest ago
+  const rank = ({ sessionId }) => [activeBySession.get(sessionId) || 0, lastServed.get(sessionId) || 0];
+  let best = 0;
+  for (let index = 1; index < waiting.length; index++) {
+    const [inFlight, turn] = rank(waiting[index]);
+    const [bestInFlight, bestTurn] = rank(waiting[best]);
+    if (inFlight < bestInFlight || (inFlight === bestInFlight && turn < bestTurn)) best = index;
+  }
+  return best;
+}
+
+function dispatch() {
+  const { maxConcurrency, fairness } = getQueueConfig();
+  while (active < maxConcurrency && waiting.length > 0) {
+    const [waiter] = waiting.splice(nextWaiter(fairness), 1);
+    clearTimeout(waiter.timer);
+    take(waiter.sessionId);
+    waiter.resolve();
+  }
+}
+
+/**
+ * Wait for a free request slot
+ * @param {string} [sessionId] - Client session, used for fairness
+ * @returns {Promise<{ waitMs: number, release: Function }>} Call release() once the request is done
+ * @throws {Error} QUEUE_TIMEOUT error when no slot frees up in time
+ */
+export async function acquireSlot(sessionId = 'default') {
+  const { maxConcurrency, timeoutMs } = getQueueConfig();
+  const queuedAt = Date.now();
+
+  if (active < maxConcurrency && waiting.length === 0) {
+    take(sessionId);
+  } else {
+    await new Promise((resolve, reject) => {
+      const waiter = { sessionId, resolve };
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+
+        const error = new Error(
+          `No free ScrapingBee request slot within ${timeoutMs / 1000}s ` +
+          `(${active} of ${maxConcurrency} in use, ${waiting.length} other request(s) waiting)`
+        );
+        error.errorCategory = 'QUEUE_TIMEOUT';
+        error.suggestions = [
+          'The server is busy with other requests; try again shortly',
+          'Lower the concurrency of batch_extract_rules calls',
+          'Raise SCRAPINGBEE_MAX_CONCURRENCY if your plan allows more concurrent requests',
+          'Raise SCRAPINGBEE_QUEUE_TIMEOUT to wait longer'
+        ];
+        reject(error);
+      }, timeoutMs);
+      waiting.push(waiter);
+      dispatch();
+    });
+  }
+
+  let released = false;
+  return {
+    waitMs: Date.now() - queuedAt,
+    release: () => {
+      if (released) return;
+      released = true;
+      release(sessionId);
+    }
+  };
+}
+
+/**
+ * Requests in flight and waiting
+ * @returns {{ active: number, waiting: number, maxConcurrency: number, fairness: string }}
+ */
+export function getQueueStatus() {
+  const { maxConcurrency, fairness } = getQueueConfig();
+  return { active, waiting: waiting.length, maxConcurrency, fairness };
+}
+
+/**
+ * Total time the attempts of one call spent waiting for a slot
+ * @param {object[]} attempts - Attempt history from getAttemptHistory or error.attempts
+ * @returns {number} Milliseconds
+ */
+export function totalQueueWait(attempts = []) {
+  return attempts.reduce((total, attempt) => total + (attempt.queueWaitMs || 0), 0);
+}
@@ -0,0 +1,56 @@
+import { EventEmitter } from 'node:events';
+
+/**
+ * Addresses of the artifacts this server keeps (fetched pages, screenshots,
+ * saved rule sets) and change events for them, so the stores can announce
+ * changes without knowing about the MCP resources API.
+ *
+ * Events:
+ *   updated      (uri)  the content behind a URI changed
+ *   listChanged  ()     resources were added or removed
+ */
+
+// Index of every saved rule set
+export const RULES_INDEX_URI = 'scrapingbee://rules';
+
+export const resourceEvents = new EventEmitter();
+
+/**
+ * @param {string} handle - Handle returned by storePage
+ * @returns {string} URI of a fetched page
+ */
+export function pageUri(handle) {
+  return `scrapingbee://pages/${handle}`;
+}
+
+/**
+ * @param {string} id - Id returned by storeScreenshot
+ * @returns {string} URI of a screenshot
+ */
+export function screenshotUri(id) {
+  return `scrapingbee://screenshots/${id}`;
+}
+
+/**
+ * @param {string} domain - Normalized domain
+ * @param {string} name - Rule set name
+ * @returns {string} URI of a saved rule set
+ */
+export function ruleSetUri(domain, name) {
+  return `scrapingbee://rules/${encodeURIComponent(domain)}/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Announce that the content behind URIs changed
+ * @param {...string} uris
+ */
+export function notifyResourceUpdated(...uris) {
+  for (const uri of uris) resourceEvents.emit('updated', uri);
+}
+
+/**
+ * Announce that resources were added or removed
+ */
+export function notifyResourceListChanged() {
+  resourceEvents.emit('listChanged');
+}
@@ -0,0 +1,201 @@
+import { getPage, listPages } from './page-store.js';
+import { getRuleSet, listRuleSets } from './rule-library.js';
+import { pageUri, resourceEvents, RULES_INDEX_URI, ruleSetUri, screenshotUri } from './resource-events.js';
+import { getScreenshot, listScreenshots } from './screenshot-store.js';
+
+/**
+ * MCP resources shared by the stdio and the Streamable HTTP server: fetched
+ * pages, screenshots and saved rule sets, addressable by scrapingbee:// URIs.
+ *
+ *   scrapingbee://pages/{handle}          HTML fetched by get_page_html (30 minutes)
+ *   scrapingbee://screenshots/{id}        image captured by get_screenshot (30 minutes)
+ *   scrapingbee://rules                   index of the rule library
+ *   scrapingbee://rules/{domain}/{name}   saved rule set with its versions and last tests
+ */
+
+// JSON-RPC error code for an unknown or expired resource
+const RESOURCE_NOT_FOUND = -32002;
+
+export const resourceTemplates = [
+  {
+    uriTemplate: 'scrapingbee://pages/{handle}',
+    name: 'Fetched page',
+    description: 'Full HTML of a page fetched with get_page_html, by its handle. Kept for 30 minutes',
+    mimeType: 'text/html'
+  },
+  {
+    uriTemplate: 'scrapingbee://screenshots/{id}',
+    name: 'Screenshot',
+    description: 'Image captured with get_screenshot, by the id in its resourceUri. Kept for 30 minutes'
+  },
+  {
+    uriTemplate: 'scrapingbee://rules/{domain}/{name}',
+    name: 'Saved rule set',
+    description: 'Rule set from the rule library: every version with its extract_rules and params, the last test and the last successful one',
+    mimeType: 'application/json'
+  }
+];
+
+// Resource URIs each client session subscribed to
+const subscriptions = new Map();
+
+function resourceError(message, errorCategory) {
+  const error = new Error(message);
+  error.errorCategory = errorCategory;
+  return error;
+}
+
+/**
+ * Split a scrapingbee:// URI into its kind and identifiers
+ * @param {string} uri
+ * @returns {{ kind: 'page'|'screenshot'|'rules'|'ruleSet', id?: string, domain?: string, name?: string }}
+ * @throws {Error} VALIDATION error for a URI this server does not serve
+ */
+function parseResourceUri(uri) {
+  const match = typeof uri === 'string' && uri.match(/^scrapingbee:\/\/([^/]+)(?:\/([^/]+))?(?:\/([^/]+))?$/);
+  const [, kind, first, second] = match || [];
+
+  if (kind === 'pages' && first && !second) return { kind: 'page', id: first };
+  if (kind === 'screenshots' && first && !second) return { kind: 'screenshot', id: first };
+  if (kind === 'rules' && !first) return { kind: 'rules' };
+  if (kind === 'rules' && first && second) {
+    return { kind: 'ruleSet', domain: decodeURIComponent(first), name: decodeURIComponent(second) };
+  }
+  throw resourceError(
+    `Unknown resource URI "${uri}". Expected scrapingbee://pages/{handle}, scrapingbee://screenshots/{id}, scrapingbee://rules or scrapingbee://rules/{domain}/{name}`,
+    'VALIDATION'
+  );
+}
+
+/**
+ * Every resource currently available, as returned by resources/list
+ * @returns {object[]} MCP resource descriptors
+ */
+export function listResources() {
+  const pages = listPages().map(page => ({
+    uri: pageUri(page.handle),
+    name: `Page: ${page.url}`,
+    description: `HTML fetched at ${page.fetchedAt} (handle ${page.handle})`,
+    mimeType: 'text/html',
+    size: page.length
+  }));
+
+  const screenshots = listScreenshots().map(screenshot => ({
+    uri: screenshotUri(screenshot.id),
+    name: `Screenshot: ${screenshot.url}`,
+    description: `Captured at ${screenshot.takenAt}`,
+    mimeType: screenshot.mimeType,
+    size: screenshot.bytes
+  }));
+
+  // A broken library file must not hide the pages and screenshots; reading the index reports the error
+  let ruleSets = [];
+  let libraryError = null;
+  try {
+    ruleSets = listRuleSets().map(ruleSet => ({
+      uri: ruleSetUri(ruleSet.domain, ruleSet.name),
+      name: `Rules: ${ruleSet.domain}/${ruleSet.name}`,
+      description: `${ruleSet.description ? `${ruleSet.description}. ` : ''}Version ${ruleSet.currentVersion}, fields: ${ruleSet.fields.join(', ')}`,
+      mimeType: 'application/json'
+    }));
+  } catch (error) {
+    console.error('[Resources] Rule library not listed:', error.message);
+    libraryError = error;
+  }
+
+  return [
+    ...pages,
+    ...screenshots,
+    {
+      uri: RULES_INDEX_URI,
+      name: 'Rule library',
+      description: libraryError
+        ? `Could not be loaded: ${libraryError.message}`
+        : 'Every saved rule set with its current version, fields and test status',
+      mimeType: 'application/json'
+    },
+    ...ruleSets
+  ];
+}
+
+/**
+ * Contents of a resource, as returned by resources/read
+ * @param {string} uri - scrapingbee:// URI
+ * @returns {{ contents: object[] }}
+ * @throws {Error} VALIDATION for an unknown URI, NOT_FOUND for a missing or expired resource
+ */
+export function readResource(uri) {
+  const target = parseResourceUri(uri);
+
+  if (target.kind === 'page') {
+    const page = getPage(target.id);
+    if (!page) throw resourceError(`Page ${target.id} is unknown or expired. Fetch it again with get_page_html`, 'NOT_FOUND');
+    return { contents: [{ uri, mimeType: 'text/html', text: page.html }] };
+  }
+
+  if (target.kind === 'screenshot') {
+    const screenshot = getScreenshot(target.id);
+    if (!screenshot) throw resourceError(`Screenshot ${target.id} is unknown or expired. Capture it again with get_screenshot`, 'NOT_FOUND');
+    return { contents: [{ uri, mimeType: screenshot.mimeType, blob: screenshot.buffer.toString('base64') }] };
+  }
+
+  const json = target.kind === 'rules'
+    ? { ruleSets: listRuleSets() }
+    : getRuleSet(target.name, { domain: target.domain }).entry;
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(json, null, 2) }] };
+}
+
+/**
+ * Send resources/updated notifications for a URI to a client session
+ * @param {string} sessionId - Client session
+ * @param {string} uri - scrapingbee:// URI
+ * @throws {Error} VALIDATION error for a URI this server does not serve
+ */
+export function subscribe(sessionId, uri) {
+  parseResourceUri(uri);
+  if (!subscriptions.has(sessionId)) subscriptions.set(sessionId, new Set());
+  subscriptions.get(sessionId).add(uri);
+}
+
+/**
+ * Stop notifications for a URI, or for every URI when none is given
+ * @param {string} sessionId - Client session
+ * @param {string} [uri] - scrapingbee:// URI
+ */
+export function unsubscribe(sessionId, uri) {
+  if (uri === undefined) subscriptions.delete(sessionId);
+  else subscriptions.get(sessionId)?.delete(uri);
+}
+
+/**
+ * Receive the notifications to deliver to clients
+ * @param {Function} listener - (notification, sessionId) => void; sessionId is undefined for
+ *   notifications meant for every session (notifications/resources/list_changed)
+ * @returns {Function} Removes the listener
+ */
+export function onResourceNotification(listener) {
+  const onUpdated = uri => {
+    for (const [sessionId, uris] of subscriptions) {
+      if (uris.has(uri)) listener({ method: 'notifications/resources/updated', params: { uri } }, sessionId);
+    }
+  };
+  const onListChanged = () => listener({ method: 'notifications/resources/list_changed' }, undefined);
+
+  resourceEvents.on('updated', onUpdated);
+  resourceEvents.on('listChanged', onListChanged);
+  return () => {
+    resourceEvents.off('updated', onUpdated);
+    resourceEvents.off('listChanged', onListChanged);
+  };
+}
+
+/**
+ * JSON-RPC error for a failed resources request
+ * @param {Error} error - Error thrown by readResource or subscribe
+ * @returns {{ code: number, message: string, data?: object }}
+ */
+export function resourceRpcError(error) {
+  if (error.errorCategory === 'NOT_FOUND') return { code: RESOURCE_NOT_FOUND, message: error.message };
+  if (error.errorCategory === 'VALIDATION') return { code: -32602, message: error.message };
+  return { code: -32603, message: error.message, ...(error.errorCategory && { data: { errorCategory: error.errorCategory } }) };
+}
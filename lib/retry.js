@@ -0,0 +1,174 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+
+/**
+ * Retry policy for transient ScrapingBee failures.
+ *
+ * 429, 500, 502, 503 and 504 responses and network errors are retried with
+ * exponential backoff and jitter; a Retry-After header is honoured. Anything
+ * else (400, 401, 402, 403, 404, budget refusals, timeouts) fails at once.
+ *
+ * SCRAPINGBEE_MAX_RETRIES        retries after the first attempt (default: 2, 0 disables)
+ * SCRAPINGBEE_RETRY_BASE_DELAY   first backoff delay in milliseconds, doubled per retry (default: 1000)
+ * SCRAPINGBEE_RETRY_MAX_TIME     seconds one call may spend on attempts and waits (default: 60)
+ * SCRAPINGBEE_RETRY_MAX_CREDITS  credits one call may spend across its attempts (default: no limit)
+ */
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_CATEGORIES = ['NETWORK'];
+
+const DEFAULTS = {
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxTimeMs: 60000,
+  maxCredits: null
+};
+
+// Longest single backoff wait, before Retry-After is taken into account
+const MAX_BACKOFF_MS = 15000;
+
+// Attempt history of each successful response
+const histories = new WeakMap();
+
+function readNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    const error = new Error(`Invalid ${name} "${value}". Use a non-negative number`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+  return number;
+}
+
+/**
+ * Current retry policy
+ * @returns {{ maxRetries: number, baseDelayMs: number, maxTimeMs: number, maxCredits: number|null }}
+ * @throws {Error} CONFIGURATION error for an invalid setting
+ */
+export function getRetryPolicy() {
+  return {
+    maxRetries: Math.floor(readNumber('SCRAPINGBEE_MAX_RETRIES', DEFAULTS.maxRetries)),
+    baseDelayMs: readNumber('SCRAPINGBEE_RETRY_BASE_DELAY', DEFAULTS.baseDelayMs),
+    maxTimeMs: readNumber('SCRAPINGBEE_RETRY_MAX_TIME', DEFAULTS.maxTimeMs / 1000) * 1000,
+    maxCredits: readNumber('SCRAPINGBEE_RETRY_MAX_CREDITS', DEFAULTS.maxCredits)
+  };
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value.trim() === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * @param {Error} error - Error thrown by one attempt
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  const statusCode = error.scrapingBeeError?.statusCode;
+  if (statusCode !== undefined) return RETRYABLE_STATUS_CODES.includes(statusCode);
+  return RETRYABLE_CATEGORIES.includes(error.errorCategory);
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, the other half random
+ */
+function backoffDelay(retry, baseDelayMs) {
+  const delay = Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** retry);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Run attempts until one succeeds, the error is not retryable, or the retry
+ * policy's count, time or credit cap is reached
+ * @param {Function} attempt - async (attemptNumber, details) => Response; throws errors from callScrapingBee.
+ *   Fields it sets on details (queueWaitMs) are added to the attempt's history entry
+ * @param {object} options
+ * @param {number} options.estimatedCost - Expected credits of one successful attempt
+ * @param {Function} options.creditsCost - (response or error) => credits charged by an attempt, or null
+ * @returns {Promise<Response>} Response of the successful attempt; read its history with getAttemptHistory
+ * @throws {Error} Error of the last attempt, with the attempt history in error.attempts
+ */
+export async function withRetries(attempt, { estimatedCost, creditsCost }) {
+  const policy = getRetryPolicy();
+  const startedAt = Date.now();
+  const history = [];
+  let creditsSpent = 0;
+
+  for (let number = 1; ; number++) {
+    const attemptStartedAt = Date.now();
+    const details = {};
+    try {
+      const response = await attempt(number, details);
+      history.push({
+        attempt: number,
+        ...details,
+        statusCode: response.status,
+        creditsCost: creditsCost(response),
+        durationMs: Date.now() - attemptStartedAt
+      });
+      histories.set(response, history);
+      return response;
+    } catch (error) {
+      const cost = creditsCost(error);
+      creditsSpent += cost || 0;
+      const entry = {
+        attempt: number,
+        ...details,
+        ...(error.scrapingBeeError && { statusCode: error.scrapingBeeError.statusCode }),
+        errorCategory: error.errorCategory || 'UNKNOWN',
+        error: error.message,
+        creditsCost: cost,
+        durationMs: Date.now() - attemptStartedAt
+      };
+      history.push(entry);
+      error.attempts = history;
+
+      if (!isRetryable(error)) throw error;
+
+      const retry = number - 1;
+      const retryAfterMs = error.retryAfterMs ?? null;
+      const delayMs = Math.max(retryAfterMs ?? 0, backoffDelay(retry, policy.baseDelayMs));
+
+      let stopReason = null;
+      if (retry >= policy.maxRetries) {
+        stopReason = `no retries left (SCRAPINGBEE_MAX_RETRIES=${policy.maxRetries})`;
+      } else if (Date.now() - startedAt + delayMs > policy.maxTimeMs) {
+        stopReason = `waiting ${Math.round(delayMs / 1000)}s more would exceed the ${policy.maxTimeMs / 1000}s retry time limit`;
+      } else if (policy.maxCredits !== null && creditsSpent + estimatedCost > policy.maxCredits) {
+        stopReason = `another attempt could take the credits spent past the ${policy.maxCredits} credit retry limit`;
+      }
+
+      if (stopReason) {
+        if (policy.maxRetries > 0) entry.gaveUp = stopReason;
+        throw error;
+      }
+
+      entry.retryInMs = delayMs;
+      if (retryAfterMs !== null) entry.retryAfterMs = retryAfterMs;
+      console.error(`[ScrapingBee] Attempt ${number} failed (${entry.statusCode || entry.errorCategory}), retrying in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Attempts made to get a response
+ * @param {Response} response - Response returned by callScrapingBee
+ * @returns {object[]} One entry per attempt: attempt, queueWaitMs, statusCode, errorCategory, creditsCost, durationMs, retryInMs
+ */
+export function getAttemptHistory(response) {
+  return histories.get(response) || [];
+}
@@ -0,0 +1,297 @@
+import fs from 'fs';
+import path from 'path';
+import { notifyResourceListChanged, notifyResourceUpdated, ruleSetUri, RULES_INDEX_URI } from './resource-events.js';
+
+/**
+ * Persistent library of named extract_rules sets, grouped by domain.
+ *
+ * SCRAPINGBEE_RULES_PATH  library file (default: rules/library.json)
+ *
+ * Every save that changes a rule set adds a version; the last test result
+ * and the last successful one are kept per rule set, and baseline results
+ * per URL for drift checks. The file is plain JSON,
+ * so it can be reviewed and committed as the team's shared scraping config.
+ */
+
+const DEFAULT_LIBRARY_PATH = 'rules/library.json';
+
+// Name and domain arguments shared by the rule library tools
+export const RULE_SET_OPTIONS = {
+  name: {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$',
+    description: 'Rule set name, e.g. "product-page" (letters, digits, _ . -, up to 64 characters)'
+  },
+  domain: {
+    type: 'string',
+    description: 'Site the rules are for, e.g. "example.com" (www. is ignored). A URL works too'
+  }
+};
+
+// Larger extraction results are stored without their data
+const MAX_STORED_DATA_LENGTH = 20000;
+
+// Baselines keep their data for diffing, up to this size
+const MAX_BASELINE_DATA_LENGTH = 200000;
+
+function getLibraryPath() {
+  return path.resolve(process.env.SCRAPINGBEE_RULES_PATH || DEFAULT_LIBRARY_PATH);
+}
+
+function loadLibrary() {
+  const libraryPath = getLibraryPath();
+  if (!fs.existsSync(libraryPath)) return { version: 1, domains: {} };
+
+  try {
+    return JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+  } catch (e) {
+    const error = new Error(`Rule library ${libraryPath} is not valid JSON: ${e.message}`);
+    error.errorCategory = 'CONFIGURATION';
+    error.suggestions = ['Fix or restore the file (it is plain JSON)', 'Point SCRAPINGBEE_RULES_PATH at another library file'];
+    throw error;
+  }
+}
+
+function saveLibrary(library) {
+  const libraryPath = getLibraryPath();
+  fs.mkdirSync(path.dirname(libraryPath), { recursive: true });
+
+  // Write then rename, so a crash or a concurrent reader never sees a half-written file
+  const tempPath = `${libraryPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(library, null, 2) + '\n');
+  fs.renameSync(tempPath, libraryPath);
+}
+
+/**
+ * Normalize a domain or URL to the library's domain key: lowercase host without www.
+ * @param {string} value - Domain (example.com) or URL (https://www.example.com/page)
+ * @returns {string|null} Domain, or null when the value is neither
+ */
+export function normalizeDomain(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const text = value.trim();
+
+  let host;
+  try {
+    host = new URL(text.includes('://') ? text : `https://${text}`).hostname;
+  } catch (e) {
+    return null;
+  }
+  return host.toLowerCase().replace(/^www\./, '') || null;
+}
+
+function notFoundError(name, domain, library) {
+  const available = listRuleSets(domain ? { domain } : {}, library).map(entry => `${entry.domain}/${entry.name}`);
+  const error = new Error(`No saved rule set "${name}"${domain ? ` for ${domain}` : ''}`);
+  error.errorCategory = 'NOT_FOUND';
+  error.availableRuleSets = available;
+  error.suggestions = [
+    available.length > 0 ? `Saved rule sets: ${available.slice(0, 20).join(', ')}` : 'The library is empty; save a validated rule set with save_rules',
+    'Use list_rules to browse the library'
+  ];
+  return error;
+}
+
+/**
+ * Find a rule set by name, in one domain or, without a domain, across all of them
+ * @param {object} library - Loaded library
+ * @param {string} name - Rule set name
+ * @param {string} [domain] - Normalized domain
+ * @returns {object} Stored rule set
+ * @throws {Error} NOT_FOUND, or VALIDATION when the name exists on several domains
+ */
+function findRuleSet(library, name, domain) {
+  if (domain) {
+    const entry = library.domains[domain]?.[name];
+    if (!entry) throw notFoundError(name, domain, library);
+    return entry;
+  }
+
+  const matches = Object.values(library.domains).map(sets => sets[name]).filter(Boolean);
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw notFoundError(name, null, library);
+
+  const error = new Error(`"${name}" is saved for several domains: ${matches.map(entry => entry.domain).join(', ')}. Pass the domain`);
+  error.errorCategory = 'VALIDATION';
+  throw error;
+}
+
+/**
+ * Save a rule set, adding a version when the rules or params changed
+ * @param {object} ruleSet
+ * @param {string} ruleSet.name - Rule set name
+ * @param {string} ruleSet.domain - Normalized domain
+ * @param {object} ruleSet.rules - Parsed extract_rules
+ * @param {object} [ruleSet.params] - ScrapingBee parameters to run the rules with
+ * @param {string} [ruleSet.description] - What the rules extract
+ * @param {string} [ruleSet.note] - What changed in this version
+ * @param {string} [ruleSet.sessionId] - Client session that saved it
+ * @returns {{ entry: object, created: boolean, unchanged: boolean }}
+ */
+export function saveRuleSet({ name, domain, rules, params = {}, description, note, sessionId }) {
+  const library = loadLibrary();
+  const sets = library.domains[domain] || (library.domains[domain] = {});
+  const existing = sets[name];
+  const now = new Date().toISOString();
+
+  if (existing) {
+    const current = existing.versions.at(-1);
+    const unchanged = JSON.stringify(current.rules) === JSON.stringify(rules)
+      && JSON.stringify(current.params) === JSON.stringify(params);
+
+    if (description !== undefined) existing.description = description;
+    if (unchanged) {
+      if (description !== undefined) {
+        saveLibrary(library);
+        notifyResourceUpdated(ruleSetUri(domain, name), RULES_INDEX_URI);
+      }
+      return { entry: existing, created: false, unchanged: true };
+    }
+
+    existing.versions.push({ version: current.version + 1, rules, params, note, savedAt: now, savedBy: sessionId });
+    existing.currentVersion = current.version + 1;
+    existing.updatedAt = now;
+    saveLibrary(library);
+    notifyResourceUpdated(ruleSetUri(domain, name), RULES_INDEX_URI);
+    return { entry: existing, created: false, unchanged: false };
+  }
+
+  sets[name] = {
+    name,
+    domain,
+    description,
+    currentVersion: 1,
+    createdAt: now,
+    updatedAt: now,
+    versions: [{ version: 1, rules, params, note, savedAt: now, savedBy: sessionId }],
+    lastTest: null,
+    lastSuccessfulTest: null
+  };
+  saveLibrary(library);
+  notifyResourceUpdated(RULES_INDEX_URI);
+  notifyResourceListChanged();
+  return { entry: sets[name], created: true, unchanged: false };
+}
+
+/**
+ * Saved rule set, at its current or a given version
+ * @param {string} name - Rule set name
+ * @param {object} [options]
+ * @param {string} [options.domain] - Normalized domain; optional when the name is unique
+ * @param {number} [options.version] - Version to return (default: current)
+ * @returns {{ entry: object, version: object }}
+ * @throws {Error} NOT_FOUND when the rule set or version does not exist
+ */
+export function getRuleSet(name, { domain, version } = {}) {
+  const entry = findRuleSet(loadLibrary(), name, domain);
+  const selected = version === undefined
+    ? entry.versions.at(-1)
+    : entry.versions.find(saved => saved.version === version);
+
+  if (!selected) {
+    const error = new Error(`"${name}" has no version ${version}; versions 1-${entry.currentVersion} exist`);
+    error.errorCategory = 'NOT_FOUND';
+    throw error;
+  }
+  return { entry, version: selected };
+}
+
+/**
+ * Summaries of the saved rule sets
+ * @param {object} [filter]
+ * @param {string} [filter.domain] - Only this normalized domain
+ * @param {object} [library] - Already loaded library
+ * @returns {object[]} name, domain, description, versions, fields, test status and baseline URLs, sorted by domain and name
+ */
+export function listRuleSets({ domain } = {}, library = loadLibrary()) {
+  return Object.entries(library.domains)
+    .filter(([key]) => !domain || key === domain)
+    .flatMap(([, sets]) => Object.values(sets))
+    .sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name))
+    .map(entry => ({
+      name: entry.name,
+      domain: entry.domain,
+      ...(entry.description && { description: entry.description }),
+      currentVersion: entry.currentVersion,
+      fields: Object.keys(entry.versions.at(-1).rules),
+      updatedAt: entry.updatedAt,
+      lastTest: entry.lastTest && {
+        success: entry.lastTest.success,
+        version: entry.lastTest.version,
+        testedAt: entry.lastTest.testedAt
+      },
+      lastSuccessfulTestAt: entry.lastSuccessfulTest?.testedAt || null,
+      baselineUrls: Object.keys(entry.baselines || {})
+    }));
+}
+
+/**
+ * Record the outcome of running a saved rule set
+ * @param {string} name - Rule set name
+ * @param {string} domain - Normalized domain
+ * @param {object} test - version, url, success, error, creditsCost, emptyFields, data
+ * @returns {object} The stored test result
+ */
+export function recordTestResult(name, domain, test) {
+  const library = loadLibrary();
+  const entry = findRuleSet(library, name, domain);
+
+  const serialized = test.data === undefined ? '' : JSON.stringify(test.data);
+  const result = {
+    ...test,
+    ...(serialized.length > MAX_STORED_DATA_LENGTH && { data: undefined, dataOmitted: `${serialized.length} characters` }),
+    testedAt: new Date().toISOString()
+  };
+
+  entry.lastTest = result;
+  if (result.success) entry.lastSuccessfulTest = result;
+  saveLibrary(library);
+  notifyResourceUpdated(ruleSetUri(entry.domain, entry.name), RULES_INDEX_URI);
+  return result;
+}
+
+/**
+ * Store the result a rule set should keep producing on a URL, for drift checks
+ * @param {string} name - Rule set name
+ * @param {string} domain - Normalized domain
+ * @param {object} baseline - version, url, data
+ * @returns {object} The stored baseline
+ * @throws {Error} VALIDATION error when the data is too large to keep
+ */
+export function saveBaseline(name, domain, baseline) {
+  const library = loadLibrary();
+  const entry = findRuleSet(library, name, domain);
+
+  const length = JSON.stringify(baseline.data).length;
+  if (length > MAX_BASELINE_DATA_LENGTH) {
+    const error = new Error(`Extracted data is ${length} characters; baselines are limited to ${MAX_BASELINE_DATA_LENGTH}`);
+    error.errorCategory = 'VALIDATION';
+    error.suggestions = ['Use a page with fewer items as the baseline', 'Save a narrower rule set for drift checks'];
+    throw error;
+  }
+
+  const stored = { ...baseline, capturedAt: new Date().toISOString() };
+  entry.baselines = { ...entry.baselines, [baseline.url]: stored };
+  saveLibrary(library);
+  notifyResourceUpdated(ruleSetUri(entry.domain, entry.name), RULES_INDEX_URI);
+  return stored;
+}
+
+/**
+ * Stored baselines, with the rule set they belong to
+ * @param {object} [filter]
+ * @param {string} [filter.name] - Only this rule set name
+ * @param {string} [filter.domain] - Only this normalized domain
+ * @param {string} [filter.url] - Only this URL
+ * @returns {{ name: string, domain: string, url: string, version: number, data: any, capturedAt: string }[]}
+ */
+export function listBaselines({ name, domain, url } = {}) {
+  const library = loadLibrary();
+  return Object.entries(library.domains)
+    .filter(([key]) => !domain || key === domain)
+    .flatMap(([, sets]) => Object.values(sets))
+    .filter(entry => !name || entry.name === name)
+    .flatMap(entry => Object.values(entry.baselines || {})
+      .filter(baseline => !url || baseline.url === url)
+      .map(baseline => ({ name: entry.name, domain: entry.domain, ...baseline })));
+}
@@ -0,0 +1,255 @@
+import * as cheerio from 'cheerio';
+import xpath from 'xpath';
+import { isXPath, normalizeRule } from './extract-rules.js';
+
+const RULE_KEYS = ['selector', 'selector_type', 'type', 'output', 'clean'];
+const SELECTOR_TYPES = ['auto', 'css', 'xpath'];
+const RULE_TYPES = ['item', 'list'];
+const OUTPUT_FORMATS = ['text', 'html', 'table_json', 'table_array'];
+
+// Fix suggestions for the pseudo-selectors people reach for most often
+const PSEUDO_SUGGESTIONS = {
+  'nth-child': 'Use "type": "list" and pick the item by index from the result, or target a class/ID on the element',
+  'nth-of-type': 'Use "type": "list" and pick the item by index from the result, or target a class/ID on the element',
+  'nth-last-child': 'Use "type": "list" and pick the item from the end of the result',
+  'first-child': 'Drop the pseudo-selector: "type": "item" (the default) already returns the first match',
+  'first-of-type': 'Drop the pseudo-selector: "type": "item" (the default) already returns the first match',
+  'last-child': 'Use "type": "list" and take the last item of the result',
+  'last-of-type': 'Use "type": "list" and take the last item of the result',
+  not: 'Select a more specific class or ID instead of excluding elements',
+  has: 'Select the child element directly, or use XPath such as //div[.//span[@class="price"]]',
+  contains: 'Use XPath such as //a[contains(text(), "Next")]',
+  is: 'Split the alternatives into separate rules, or use a plain selector list',
+  where: 'Split the alternatives into separate rules, or use a plain selector list'
+};
+
+// Shared parser used only to check CSS syntax
+const $ = cheerio.load('');
+
+/**
+ * Lint extract_rules before they are sent to ScrapingBee
+ * @param {any} rules - Parsed extract_rules value
+ * @returns {{ valid: boolean, errors: object[], warnings: object[], fields: object[] }}
+ */
+export function lintExtractRules(rules) {
+  const report = { valid: true, errors: [], warnings: [], fields: [] };
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    addIssue(report.errors, [], 'RULES_NOT_OBJECT',
+      'extract_rules must be a JSON object mapping field names to selectors',
+      'Wrap the rules in an object, e.g. {"title": "h1"}');
+  } else if (Object.keys(rules).length === 0) {
+    addIssue(report.errors, [], 'RULES_EMPTY',
+      'extract_rules has no fields',
+      'Add at least one field, e.g. {"title": "h1"}');
+  } else {
+    lintRules(rules, [], report);
+  }
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+function addIssue(list, path, code, message, suggestion, extra = {}) {
+  list.push({ path: path.join('.') || '(root)', code, message, suggestion, ...extra });
+}
+
+function lintRules(rules, path, report) {
+  for (const [key, rule] of Object.entries(rules)) {
+    lintRule(rule, [...path, key], report);
+  }
+}
+
+function lintRule(rule, path, report) {
+  if (typeof rule === 'string') {
+    const { selector, output } = normalizeRule(rule);
+    const selectorType = lintSelector(selector, 'auto', path, report);
+    report.fields.push({ path: path.join('.'), selector, selectorType, type: 'item', output });
+    return;
+  }
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    addIssue(report.errors, path, 'INVALID_RULE',
+      'A rule must be a selector string or an object with a "selector" key',
+      'Use "h1" or {"selector": "h1", "type": "item"}');
+    return;
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (RULE_KEYS.includes(key)) continue;
+    const closest = closestMatch(key, RULE_KEYS);
+    addIssue(report.errors, path, 'UNKNOWN_KEY',
+      `Unknown rule key "${key}"`,
+      closest ? `Did you mean "${closest}"?` : `Allowed keys: ${RULE_KEYS.join(', ')}`);
+  }
+
+  if (rule.selector_type !== undefined && !SELECTOR_TYPES.includes(rule.selector_type)) {
+    addIssue(report.errors, path, 'INVALID_SELECTOR_TYPE',
+      `selector_type must be one of ${SELECTOR_TYPES.join(', ')}`,
+      'Omit selector_type to let ScrapingBee detect CSS or XPath');
+  }
+
+  if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+    const suggestion = rule.type === 'table'
+      ? 'Use "output": "table_json" (or "table_array") with the default "type": "item"'
+      : `Use one of: ${RULE_TYPES.join(', ')}`;
+    addIssue(rule.type === 'table' ? report.warnings : report.errors, path, 'INVALID_TYPE',
+      `Unsupported rule type "${rule.type}"`, suggestion);
+  }
+
+  if (rule.clean !== undefined && typeof rule.clean !== 'boolean') {
+    addIssue(report.errors, path, 'INVALID_CLEAN', '"clean" must be true or false', 'Use "clean": false to keep raw whitespace');
+  }
+
+  let selectorType = null;
+  if (typeof rule.selector !== 'string' || rule.selector.trim() === '') {
+    addIssue(report.errors, path, 'MISSING_SELECTOR',
+      'Rule object is missing a non-empty "selector"',
+      'Add "selector": ".your-class"');
+  } else {
+    selectorType = lintSelector(rule.selector, rule.selector_type || 'auto', path, report);
+  }
+
+  lintOutput(rule.output, path, report);
+
+  report.fields.push({
+    path: path.join('.'),
+    selector: rule.selector,
+    selectorType,
+    type: rule.type || 'item',
+    output: typeof rule.output === 'object' ? 'object' : (rule.output || 'text')
+  });
+
+  if (rule.output && typeof rule.output === 'object' && !Array.isArray(rule.output)) {
+    lintRules(rule.output, path, report);
+  }
+}
+
+function lintOutput(output, path, report) {
+  if (output === undefined) return;
+
+  if (output && typeof output === 'object' && !Array.isArray(output)) {
+    if (Object.keys(output).length === 0) {
+      addIssue(report.errors, path, 'EMPTY_OUTPUT', 'Nested output object has no fields', 'Add fields or use "output": "text"');
+    }
+    return;
+  }
+
+  if (typeof output !== 'string') {
+    addIssue(report.errors, path, 'INVALID_OUTPUT',
+      'output must be a string or an object of nested rules',
+      `Use one of ${OUTPUT_FORMATS.join(', ')}, "@attribute" or a nested object`);
+    return;
+  }
+
+  if (output.startsWith('@')) {
+    if (!/^@[\w:.-]+$/.test(output)) {
+      addIssue(report.errors, path, 'INVALID_OUTPUT', `Invalid attribute output "${output}"`, 'Use "@href", "@src", "@data-id", ...');
+    }
+    return;
+  }
+
+  if (!OUTPUT_FORMATS.includes(output)) {
+    const closest = closestMatch(output, OUTPUT_FORMATS);
+    addIssue(report.errors, path, 'INVALID_OUTPUT', `Unknown output "${output}"`,
+      closest ? `Did you mean "${closest}"?` : `Use one of ${OUTPUT_FORMATS.join(', ')} or "@attribute"`);
+  }
+}
+
+/**
+ * Check one selector and return the detected selector type
+ */
+function lintSelector(selector, selectorType, path, report) {
+  const looksLikeXPath = isXPath(selector);
+  const detected = selectorType === 'auto' ? (looksLikeXPath ? 'xpath' : 'css') : selectorType;
+
+  if (selectorType === 'css' && looksLikeXPath) {
+    addIssue(report.errors, path, 'SELECTOR_TYPE_MISMATCH',
+      'selector_type is "css" but the selector looks like XPath',
+      'Set "selector_type": "xpath" or omit selector_type');
+  }
+
+  if (detected === 'xpath') {
+    try {
+      xpath.parse(selector);
+    } catch (e) {
+      addIssue(report.errors, path, 'INVALID_XPATH', `Invalid XPath: ${e.message}`, 'Check brackets, quotes and axis names');
+    }
+    return detected;
+  }
+
+  for (const pseudo of findPseudoSelectors(selector)) {
+    addIssue(report.errors, path, 'UNSUPPORTED_PSEUDO',
+      `ScrapingBee does not support the ${pseudo.text} pseudo-selector`,
+      PSEUDO_SUGGESTIONS[pseudo.name] || 'Use class names and IDs instead of pseudo-selectors',
+      { selector, location: { index: pseudo.index, snippet: `${selector}\n${' '.repeat(pseudo.index)}^` } });
+  }
+
+  try {
+    $.root().find(selector);
+  } catch (e) {
+    addIssue(report.errors, path, 'INVALID_CSS', `Invalid CSS selector: ${e.message}`, 'Check brackets, quotes and combinators');
+  }
+
+  return detected;
+}
+
+/**
+ * Find :pseudo and ::pseudo tokens outside of attribute brackets and quotes
+ * @param {string} selector - CSS selector
+ * @returns {{ name: string, text: string, index: number }[]}
+ */
+export function findPseudoSelectors(selector) {
+  const found = [];
+  let bracketDepth = 0;
+  let quote = null;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") quote = char;
+    else if (char === '[') bracketDepth++;
+    else if (char === ']') bracketDepth = Math.max(0, bracketDepth - 1);
+    else if (char === ':' && bracketDepth === 0) {
+      const match = selector.slice(i).match(/^::?([\w-]+)(\([^)]*\))?/);
+      if (match) {
+        found.push({ name: match[1].toLowerCase(), text: match[0], index: i });
+        i += match[0].length - 1;
+      }
+    }
+  }
+
+  return found;
+}
+
+function closestMatch(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = levenshtein(value.toLowerCase(), candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= 3 ? best : null;
+}
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
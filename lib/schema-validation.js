@@ -0,0 +1,104 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+/**
+ * Validation of extracted data against a caller-supplied JSON Schema, so a
+ * test reports whether the output has the shape a pipeline expects rather
+ * than only whether it is empty.
+ *
+ * ScrapingBee returns every value as text, so types are coerced before
+ * checking ("12.50" is a number, "$12.50" is not), and fields whose selector
+ * matched nothing (null or "") count as missing.
+ */
+
+// Tool option accepted by the extraction tools
+export const SCHEMA_OPTIONS = {
+  expected_schema: {
+    type: 'object',
+    description: 'JSON Schema the extracted data must match, e.g. {"type": "object", "required": ["price"], "properties": {"price": {"type": "number"}, "items": {"type": "array", "minItems": 10}}}. Values are coerced from text before checking, and unmatched fields count as missing. success is false when the data does not match'
+  }
+};
+
+// Violations reported per result; the total is always given
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Compile a JSON Schema
+ * @param {object} schema - JSON Schema
+ * @returns {{ validate?: Function, error?: string }} Validator, or why the schema is invalid
+ */
+export function compileSchema(schema) {
+  // One instance per schema: a shared one rejects a second schema with the same $id
+  // and keeps every compiled schema for the life of the server
+  const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+  addFormats(ajv);
+  try {
+    return { validate: ajv.compile(schema) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * Copy of the data with unmatched (null or empty string) object fields removed
+ */
+function withoutUnmatched(value) {
+  if (Array.isArray(value)) return value.map(withoutUnmatched);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, field]) => field !== null && !(typeof field === 'string' && field.trim() === ''))
+      .map(([key, field]) => [key, withoutUnmatched(field)])
+  );
+}
+
+function valueAt(data, pointer) {
+  return pointer.split('/').slice(1).reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key.replace(/~1/g, '/').replace(/~0/g, '~')]),
+    data
+  );
+}
+
+/**
+ * One readable violation per Ajv error
+ */
+function describeError(error, data) {
+  const path = error.instancePath || '/';
+  const actual = valueAt(data, error.instancePath);
+
+  switch (error.keyword) {
+    case 'required': {
+      const field = `${error.instancePath}/${error.params.missingProperty}`;
+      return { path: field, issue: 'missing_required', message: `${field} is required but missing or empty` };
+    }
+    case 'type':
+      return { path, issue: 'wrong_type', expected: error.params.type, actual, message: `${path} should be ${error.params.type}, got ${JSON.stringify(actual)}` };
+    case 'minItems':
+      return { path, issue: 'too_few_items', expected: error.params.limit, actual: actual?.length, message: `${path} has ${actual?.length} item(s), expected at least ${error.params.limit}` };
+    case 'pattern':
+      return { path, issue: 'pattern_mismatch', expected: error.params.pattern, actual, message: `${path} ${JSON.stringify(actual)} does not match ${error.params.pattern}` };
+    default:
+      return { path, issue: error.keyword, ...(actual !== undefined && { actual }), message: `${path} ${error.message}` };
+  }
+}
+
+/**
+ * Validate extracted data against a compiled schema
+ * @param {Function} validate - Validator from compileSchema
+ * @param {any} data - Data returned by ScrapingBee
+ * @returns {{ valid: boolean, errorCount: number, errors: object[], truncated?: boolean }}
+ *   errors: path (JSON pointer), issue (missing_required, wrong_type, too_few_items, pattern_mismatch or the schema keyword), message
+ */
+export function validateData(validate, data) {
+  // Coercion rewrites the data it checks, so validate a copy
+  const checked = withoutUnmatched(structuredClone(data));
+  if (validate(checked)) return { valid: true, errorCount: 0, errors: [] };
+
+  const errors = validate.errors.map(error => describeError(error, data));
+  return {
+    valid: false,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    ...(errors.length > MAX_REPORTED_ERRORS && { truncated: true })
+  };
+}
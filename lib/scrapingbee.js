@@ -0,0 +1,222 @@
+import { fetchWithCache, getCacheStatus } from './cache.js';
+import { estimateCreditCost } from './credits.js';
+import { parseScrapingBeeError } from './errors.js';
+import { getRequestContext } from './request-context.js';
+import { acquireSlot } from './request-queue.js';
+import { parseRetryAfter, withRetries } from './retry.js';
+import { recordUsage, reserveBudget } from './usage.js';
+
+const DEFAULT_API_URL = 'https://app.scrapingbee.com/api/v1/';
+
+// 2 minute timeout for every ScrapingBee request, extended when the timeout parameter asks for more
+const REQUEST_TIMEOUT_MS = 120000;
+const TIMEOUT_MARGIN_MS = 10000;
+
+const USAGE_TIMEOUT_MS = 15000;
+
+/**
+ * Base URL of the ScrapingBee HTML API. Override with SCRAPINGBEE_API_URL to
+ * target a staging proxy or the bundled mock backend (npm run mock).
+ * @returns {string} API base URL, always ending in "/" so endpoints resolve below it
+ */
+export function getApiBaseUrl() {
+  const url = process.env.SCRAPINGBEE_API_URL || DEFAULT_API_URL;
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Read the ScrapingBee API key. The MCP is deployed privately, so the key is
+ * always configured server-side, for both the stdio and the HTTP transport.
+ * @returns {string} The API key
+ * @throws {Error} AUTH error when SCRAPINGBEE_API_KEY is not set
+ */
+export function requireApiKey() {
+  const apiKey = process.env.SCRAPINGBEE_API_KEY;
+
+  if (!apiKey) {
+    const error = new Error('SCRAPINGBEE_API_KEY environment variable is not set');
+    error.errorCategory = 'AUTH';
+    error.suggestions = [
+      'Set the SCRAPINGBEE_API_KEY environment variable',
+      'Get your API key from https://app.scrapingbee.com/account',
+      'For stdio transport: export SCRAPINGBEE_API_KEY=your_key',
+      'For .env file: add SCRAPINGBEE_API_KEY=your_key'
+    ];
+    throw error;
+  }
+
+  return apiKey;
+}
+
+/**
+ * Fetch the account's plan and credit usage from ScrapingBee's usage endpoint.
+ * The endpoint is free and does not count against the request concurrency.
+ * @returns {Promise<object>} max_api_credit, used_api_credit, max_concurrency, current_concurrency, renewal_subscription_date
+ * @throws {Error} NETWORK/TIMEOUT errors, or API_ERROR with scrapingBeeError details
+ */
+export async function fetchAccountUsage() {
+  const usageUrl = new URL('usage', getApiBaseUrl());
+  usageUrl.searchParams.set('api_key', requireApiKey());
+
+  let response;
+  try {
+    response = await fetch(usageUrl, { signal: AbortSignal.timeout(USAGE_TIMEOUT_MS) });
+  } catch (fetchError) {
+    const error = new Error(`Network error calling ScrapingBee usage endpoint: ${fetchError.message}`);
+    error.errorCategory = fetchError.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK';
+    error.suggestions = ['Check your internet connection', 'Verify ScrapingBee API is accessible'];
+    throw error;
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const parsedError = parseScrapingBeeError(response.status, errorText, usageUrl.pathname);
+    const error = new Error(
+      `ScrapingBee usage endpoint error (HTTP ${response.status} ${parsedError.statusText}): ` +
+      `${parsedError.apiError || parsedError.apiMessage || errorText.substring(0, 200)}`
+    );
+    error.scrapingBeeError = parsedError;
+    error.errorCategory = 'API_ERROR';
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Credits charged for a request, from the spb-cost response header
+ * @param {Response} response - Response returned by callScrapingBee
+ * @returns {number|null} Credits (0 for cache hits), or null when the header is missing
+ */
+export function getCreditsCost(response) {
+  if (getCacheStatus(response).cached) return 0;
+  const spbCost = response.headers.get('spb-cost');
+  return spbCost === null || spbCost === '' || Number.isNaN(Number(spbCost)) ? null : Number(spbCost);
+}
+
+/**
+ * Send one request to the ScrapingBee HTML API
+ * @param {object} details - Receives queueWaitMs for the attempt history
+ * @returns {Promise<Response>} The successful (2xx) fetch response
+ * @throws {Error} NETWORK/TIMEOUT errors, or API_ERROR with scrapingBeeError details
+ */
+async function requestOnce(queryParams, { url, appliedParams, headers, bypassCache }, details) {
+  const apiUrl = `${getApiBaseUrl()}?${queryParams.toString()}`;
+  const timeoutMs = Math.max(REQUEST_TIMEOUT_MS, Number(queryParams.get('timeout') || 0) + TIMEOUT_MARGIN_MS);
+
+  const { tool, sessionId } = getRequestContext();
+
+  console.error(`[ScrapingBee] Making API request to URL: ${url}`);
+
+  // The timeout starts once a queue slot is free, not while waiting for one
+  const controller = new AbortController();
+  let timer;
+  let response;
+  let releaseBudget = () => {};
+  let releaseSlot = () => {};
+  try {
+    response = await fetchWithCache(apiUrl, queryParams, {
+      headers,
+      signal: controller.signal
+    }, {
+      bypassCache,
+      // Cache hits are free and instant, so budgets and the queue only apply to real requests
+      beforeFetch: async () => {
+        releaseBudget = reserveBudget(Object.fromEntries(queryParams), sessionId);
+        const slot = await acquireSlot(sessionId);
+        releaseSlot = slot.release;
+        details.queueWaitMs = slot.waitMs;
+        timer = setTimeout(
+          () => controller.abort(new DOMException(`Request timed out after ${timeoutMs}ms`, 'TimeoutError')),
+          timeoutMs
+        );
+      }
+    });
+  } catch (fetchError) {
+    clearTimeout(timer);
+    releaseSlot();
+    releaseBudget();
+
+    // Budget, queue, cache, cassette and configuration errors are already categorized
+    if (fetchError.errorCategory) throw fetchError;
+
+    // Handle network-level errors with detailed context
+    const error = new Error(`Network error calling ScrapingBee API: ${fetchError.message}`);
+    error.errorCategory = fetchError.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK';
+    error.originalError = fetchError.message;
+    error.targetUrl = url;
+    error.appliedParams = appliedParams;
+    error.suggestions = fetchError.name === 'TimeoutError'
+      ? [
+          `The request took longer than ${Math.round(timeoutMs / 1000)} seconds`,
+          'Try with a shorter wait time',
+          'Consider simpler extract_rules',
+          'Check if target site is responsive'
+        ]
+      : [
+          'Check your internet connection',
+          'Verify ScrapingBee API is accessible',
+          'Check if there are firewall restrictions'
+        ];
+    throw error;
+  }
+
+  clearTimeout(timer);
+  releaseSlot();
+  recordUsage({ tool, sessionId, url, credits: getCreditsCost(response), cached: getCacheStatus(response).cached });
+  releaseBudget();
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const parsedError = parseScrapingBeeError(response.status, errorText, url);
+
+    // Extract ScrapingBee-specific headers if available
+    const spbCost = response.headers.get('spb-cost');
+    const spbInitialStatus = response.headers.get('spb-initial-status-code');
+    const spbResolvedUrl = response.headers.get('spb-resolved-url');
+
+    if (spbCost) parsedError.creditsCost = spbCost;
+    if (spbInitialStatus) parsedError.targetSiteStatusCode = spbInitialStatus;
+    if (spbResolvedUrl) parsedError.resolvedUrl = spbResolvedUrl;
+
+    const error = new Error(
+      `ScrapingBee API error (HTTP ${response.status} ${parsedError.statusText}): ` +
+      `${parsedError.apiError || parsedError.apiMessage || errorText.substring(0, 200)}`
+    );
+    error.scrapingBeeError = parsedError;
+    error.errorCategory = 'API_ERROR';
+    error.appliedParams = appliedParams;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+
+  const spbCost = response.headers.get('spb-cost');
+  if (spbCost && !getCacheStatus(response).cached) {
+    console.error(`[ScrapingBee] Request cost: ${spbCost} credits`);
+  }
+
+  return response;
+}
+
+/**
+ * Call the ScrapingBee HTML API, retrying transient failures (see lib/retry.js)
+ * @param {URLSearchParams} queryParams - Query including api_key and url
+ * @param {object} options
+ * @param {string} options.url - Target URL, used for logging and error context
+ * @param {object} options.appliedParams - Forwarded parameters for error context
+ * @param {object} [options.headers] - Request headers (Spb- prefixed headers for forward_headers)
+ * @param {boolean} [options.bypassCache] - Skip the response cache
+ * @returns {Promise<Response>} The successful (2xx) fetch response; getAttemptHistory(response) lists the attempts
+ * @throws {Error} NETWORK/TIMEOUT errors, or API_ERROR with scrapingBeeError details, with the attempts in error.attempts
+ */
+export async function callScrapingBee(queryParams, { url, appliedParams, headers = {}, bypassCache = false }) {
+  return withRetries(
+    (attempt, details) => requestOnce(queryParams, { url, appliedParams, headers, bypassCache }, details),
+    {
+      estimatedCost: estimateCreditCost(Object.fromEntries(queryParams)),
+      creditsCost: result => result instanceof Response
+        ? getCreditsCost(result)
+        : Number(result.scrapingBeeError?.creditsCost) || null
+    }
+  );
+}
@@ -0,0 +1,67 @@
+/**
+ * In-memory store of captured screenshots, so clients can read them as MCP
+ * resources instead of receiving every image inline.
+ */
+import { randomBytes } from 'node:crypto';
+import { notifyResourceListChanged } from './resource-events.js';
+
+// Oldest screenshots are evicted once this many are stored (full-page captures are large)
+const MAX_SCREENSHOTS = 10;
+
+// Screenshots expire this long after they were taken
+const SCREENSHOT_TTL_MS = 30 * 60 * 1000;
+
+const screenshots = new Map();
+
+function pruneExpired(now = Date.now()) {
+  for (const [id, screenshot] of screenshots) {
+    if (now - screenshot.takenAt > SCREENSHOT_TTL_MS) screenshots.delete(id);
+  }
+}
+
+/**
+ * Keep a screenshot and return its id
+ * @param {object} screenshot
+ * @param {Buffer} screenshot.buffer - Image data
+ * @param {string} screenshot.mimeType - image/png or image/jpeg
+ * @param {string} screenshot.url - Target page URL
+ * @param {number} [screenshot.width] - Width in pixels
+ * @param {number} [screenshot.height] - Height in pixels
+ * @returns {string} Screenshot id
+ */
+export function storeScreenshot({ buffer, mimeType, url, width, height }) {
+  pruneExpired();
+  while (screenshots.size >= MAX_SCREENSHOTS) {
+    screenshots.delete(screenshots.keys().next().value);
+  }
+
+  const id = `shot_${randomBytes(6).toString('hex')}`;
+  screenshots.set(id, { buffer, mimeType, url, width, height, takenAt: Date.now() });
+  notifyResourceListChanged();
+  return id;
+}
+
+/**
+ * Look up a stored screenshot
+ * @param {string} id - Id returned by storeScreenshot
+ * @returns {{ buffer: Buffer, mimeType: string, url: string, width?: number, height?: number, takenAt: number }|null}
+ */
+export function getScreenshot(id) {
+  pruneExpired();
+  return screenshots.get(id) || null;
+}
+
+/**
+ * Screenshots currently stored, oldest first
+ * @returns {{ id: string, url: string, mimeType: string, bytes: number, takenAt: string }[]}
+ */
+export function listScreenshots() {
+  pruneExpired();
+  return [...screenshots].map(([id, { buffer, mimeType, url, takenAt }]) => ({
+    id,
+    url,
+    mimeType,
+    bytes: buffer.length,
+    takenAt: new Date(takenAt).toISOString()
+  }));
+}
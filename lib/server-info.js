@@ -0,0 +1,8 @@
+// MCP Protocol version (2025-03-26 spec)
+export const PROTOCOL_VERSION = '2024-11-05';
+
+// Server info
+export const SERVER_INFO = {
+  name: 'scraping-bee-mcp',
+  version: '2.2.0'
+};
@@ -0,0 +1,22 @@
+/**
+ * Wrap a JSON payload as an MCP tool result with a single text content block
+ * @param {object} payload - Data to serialize for the model
+ * @returns {object} MCP tool result
+ */
+export function jsonResult(payload) {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify(payload, null, 2)
+    }]
+  };
+}
+
+/**
+ * Same as jsonResult but flagged with isError so clients treat it as a failure
+ * @param {object} payload - Error details to serialize for the model
+ * @returns {object} MCP tool result with isError set
+ */
+export function jsonError(payload) {
+  return { ...jsonResult(payload), isError: true };
+}
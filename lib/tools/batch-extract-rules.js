@@ -0,0 +1,197 @@
+import { mapWithConcurrency } from '../concurrency.js';
+import { CACHE_OPTIONS } from '../cache.js';
+import { DRY_RUN_OPTIONS, dryRunResult } from '../dry-run.js';
+import { toolErrorResult } from '../errors.js';
+import { buildExtractionRequest, fetchExtraction, findEmptyFields, getErrorCreditsCost } from '../extraction.js';
+import { totalQueueWait } from '../request-queue.js';
+import { requireApiKey } from '../scrapingbee.js';
+import { paramSchemas, SHARED_PARAMS } from '../scrapingbee-params.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import {
+  parseJsonArg,
+  validateExtractRules,
+  validateJsScenarioArg,
+  validateRequired,
+  validateScrapingBeeParams,
+  validateToolArgs
+} from '../validation.js';
+
+// ScrapingBee parameters accepted by this tool, applied to every URL
+const PARAMS = SHARED_PARAMS;
+
+const DEFAULT_CONCURRENCY = 5;
+
+const BATCH_OPTIONS = {
+  urls: {
+    type: 'array',
+    items: { type: 'string' },
+    minItems: 1,
+    maxItems: 100,
+    description: 'Target page URLs (1-100), all extracted with the same rules and options'
+  },
+  concurrency: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 20,
+    description: `Maximum number of ScrapingBee requests in flight at once (default: ${DEFAULT_CONCURRENCY}). Keep it within your plan's concurrency limit`
+  },
+  include_data: {
+    type: 'boolean',
+    description: 'Include the extracted data for every URL (default: true). Set false to get only statuses and the field summary'
+  },
+  ...CACHE_OPTIONS,
+  ...DRY_RUN_OPTIONS
+};
+
+export const definition = {
+  name: 'batch_extract_rules',
+  description: 'Run one set of extract_rules against many URLs in a single call, with a concurrency cap. Returns a per-URL result table (success, empty or error), the total credits spent, and a summary of which fields came back empty on which pages. Use it to check that rules hold across a sample of similar pages (e.g. 40 product pages). Each URL costs credits like a test_extract_rules call. API key is configured server-side.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      urls: BATCH_OPTIONS.urls,
+      extract_rules: {
+        type: 'string',
+        description: 'JSON-encoded extract_rules, in the same format as test_extract_rules. Avoid pseudo-selectors such as :nth-child() and :not()'
+      },
+      concurrency: BATCH_OPTIONS.concurrency,
+      include_data: BATCH_OPTIONS.include_data,
+      ...CACHE_OPTIONS,
+      ...DRY_RUN_OPTIONS,
+      ...paramSchemas(PARAMS)
+    },
+    required: ['urls', 'extract_rules']
+  }
+};
+
+/**
+ * Extract one URL, turning failures into a result row instead of throwing
+ */
+async function extractOne(args, rules, url, includeData) {
+  try {
+    const { data, creditsCost, cache, attempts } = await fetchExtraction({ ...args, url }, PARAMS);
+    const emptyFields = findEmptyFields(data, rules);
+    const status = emptyFields.length === Object.keys(rules).length ? 'empty' : 'success';
+
+    return {
+      url,
+      status,
+      creditsCost,
+      cached: cache.cached,
+      queueWaitMs: totalQueueWait(attempts),
+      // Only retried URLs carry their attempt history, to keep large batches readable
+      ...(attempts.length > 1 && { attempts }),
+      emptyFields,
+      ...(includeData && { data })
+    };
+  } catch (error) {
+    const suggestions = error.suggestions || error.scrapingBeeError?.suggestions;
+    return {
+      url,
+      status: 'error',
+      creditsCost: getErrorCreditsCost(error),
+      queueWaitMs: totalQueueWait(error.attempts),
+      error: error.message,
+      errorCategory: error.errorCategory || 'UNKNOWN',
+      ...(error.scrapingBeeError && { statusCode: error.scrapingBeeError.statusCode }),
+      ...(suggestions?.length > 0 && { suggestions }),
+      ...(error.attempts?.length > 1 && { attempts: error.attempts })
+    };
+  }
+}
+
+/**
+ * Summarize which fields failed on which pages
+ * @returns {object} field -> { failedOn, urls }
+ */
+function summarizeFieldFailures(results, rules) {
+  const summary = {};
+  for (const field of Object.keys(rules)) {
+    const urls = results
+      .filter(result => result.status !== 'error' && result.emptyFields.includes(field))
+      .map(result => result.url);
+    if (urls.length > 0) summary[field] = { failedOn: urls.length, urls };
+  }
+  return summary;
+}
+
+/**
+ * Run extract rules against a list of URLs
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const { urls, concurrency = DEFAULT_CONCURRENCY, include_data: includeData = true } = args;
+
+  const missing = validateRequired(args, ['urls', 'extract_rules']);
+  if (missing) return missing;
+
+  const invalidOptions = validateToolArgs(args, BATCH_OPTIONS);
+  if (invalidOptions) return invalidOptions;
+
+  const { value: extractRulesObj, error: rulesError } = parseJsonArg(args, 'extract_rules');
+  if (rulesError) return rulesError;
+
+  // Lint once up front so a bad rule set never costs credits on every URL
+  const { report: lintReport, error: lintError } = validateExtractRules(extractRulesObj);
+  if (lintError) return lintError;
+
+  const invalid = validateJsScenarioArg(args) || validateScrapingBeeParams(args, PARAMS);
+  if (invalid) return invalid;
+
+  try {
+    if (args.dry_run) {
+      // Every URL is sent with the same query apart from the url
+      return dryRunResult(buildExtractionRequest({ ...args, url: urls[0] }, PARAMS), {
+        requestCount: urls.length,
+        fields: {
+          urls,
+          concurrency,
+          rules_applied: extractRulesObj,
+          ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings })
+        }
+      });
+    }
+
+    // Fail once for a missing key rather than once per URL
+    requireApiKey();
+
+    const startedAt = Date.now();
+    const results = await mapWithConcurrency(urls, concurrency, url => extractOne(args, extractRulesObj, url, includeData));
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = {
+      total: results.length,
+      succeeded: count('success'),
+      empty: count('empty'),
+      failed: count('error'),
+      creditsSpent: results.reduce((total, result) => total + (result.creditsCost || 0), 0),
+      cacheHits: results.filter(result => result.cached).length,
+      queueWaitMs: results.reduce((total, result) => total + result.queueWaitMs, 0),
+      retries: results.reduce((total, result) => total + Math.max(0, (result.attempts?.length || 1) - 1), 0),
+      durationMs: Date.now() - startedAt
+    };
+    const fieldFailures = summarizeFieldFailures(results, extractRulesObj);
+
+    const payload = {
+      success: summary.succeeded === summary.total && Object.keys(fieldFailures).length === 0,
+      message: `${summary.succeeded}/${summary.total} URL(s) extracted, ${summary.empty} empty, ${summary.failed} failed. ${summary.creditsSpent} credit(s) spent.`
+        + (Object.keys(fieldFailures).length > 0 ? ' Some fields came back empty on some pages - see fieldFailures before relying on these rules.' : ''),
+      summary,
+      fieldFailures,
+      results,
+      rules_applied: extractRulesObj,
+      ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings })
+    };
+
+    // Only an outright failure across the whole batch is reported as a tool error
+    return summary.succeeded === 0 ? jsonError(payload) : jsonResult(payload);
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'batchExtractRules',
+      message: 'Batch extraction failed',
+      context: { urlCount: urls.length },
+      fields: { rules_attempted: extractRulesObj }
+    });
+  }
+}
@@ -0,0 +1,106 @@
+import { buildJsScenario, INSTRUCTION_TYPES, validateJsScenario } from '../js-scenario.js';
+import { jsonResult } from '../tool-result.js';
+import { validationError, validateRequired } from '../validation.js';
+
+export const definition = {
+  name: 'build_js_scenario',
+  description: 'Build a valid ScrapingBee js_scenario string from a structured list of steps. The result is validated (instruction shapes, 40s total duration limit) and can be passed as-is to the js_scenario parameter of the other tools. Costs no credits.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      steps: {
+        type: 'array',
+        minItems: 1,
+        description: 'Browser actions in order, e.g. [{"action": "click", "selector": "#accept"}, {"action": "wait", "ms": 1000}, {"action": "fill", "selector": "#q", "value": "coffee"}]',
+        items: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              enum: INSTRUCTION_TYPES,
+              description: 'Instruction type'
+            },
+            selector: {
+              type: 'string',
+              description: 'CSS/XPath selector (wait_for, wait_for_and_click, click, fill)'
+            },
+            value: {
+              type: 'string',
+              description: 'Text to type (fill)'
+            },
+            ms: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Delay in milliseconds (wait)'
+            },
+            pixels: {
+              type: 'integer',
+              description: 'Distance in pixels (scroll_x, scroll_y)'
+            },
+            max_count: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Number of scrolls, 0 = until the end (infinite_scroll)'
+            },
+            delay: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Delay between scrolls in milliseconds (infinite_scroll)'
+            },
+            end_click_selector: {
+              type: 'string',
+              description: 'Button to click when scrolling ends, e.g. "Load more" (infinite_scroll)'
+            },
+            code: {
+              type: 'string',
+              description: 'JavaScript to run in the page (evaluate)'
+            }
+          },
+          required: ['action']
+        }
+      },
+      strict: {
+        type: 'boolean',
+        description: 'Stop the scenario when an instruction fails (ScrapingBee default: true)'
+      }
+    },
+    required: ['steps']
+  }
+};
+
+/**
+ * Build and validate a js_scenario from structured steps
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['steps']);
+  if (missing) return missing;
+
+  if (!Array.isArray(args.steps) || args.steps.length === 0) {
+    return validationError('Invalid steps', 'steps must be a non-empty array of {"action": ...} objects');
+  }
+
+  const { scenario, errors: buildErrors } = buildJsScenario(args.steps, { strict: args.strict });
+  if (buildErrors.length > 0) {
+    return validationError('Invalid steps', `${buildErrors.length} step(s) could not be converted`, { stepErrors: buildErrors });
+  }
+
+  const report = validateJsScenario(scenario);
+  if (!report.valid) {
+    return validationError(
+      'Invalid js_scenario',
+      `The built scenario has ${report.errors.length} error(s)`,
+      { instructionErrors: report.errors, warnings: report.warnings, scenario }
+    );
+  }
+
+  return jsonResult({
+    success: true,
+    js_scenario: JSON.stringify(scenario),
+    scenario,
+    estimatedDurationMs: report.estimatedDurationMs,
+    warnings: report.warnings,
+    message: 'Pass js_scenario as-is to test_extract_rules (render_js must not be false)'
+  });
+}
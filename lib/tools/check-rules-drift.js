@@ -0,0 +1,195 @@
+import { mapWithConcurrency } from '../concurrency.js';
+import { DRY_RUN_OPTIONS } from '../dry-run.js';
+import { compareToBaseline, worstVerdict } from '../drift.js';
+import { toolErrorResult } from '../errors.js';
+import { getRuleSet, listBaselines, normalizeDomain } from '../rule-library.js';
+import { jsonResult } from '../tool-result.js';
+import { validateToolArgs, validationError } from '../validation.js';
+import * as runSavedRules from './run-saved-rules.js';
+
+const DEFAULT_CONCURRENCY = 3;
+
+const DRIFT_OPTIONS = {
+  targets: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 100,
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        domain: { type: 'string' },
+        url: { type: 'string' }
+      },
+      required: ['name']
+    },
+    description: 'Rule sets to check, e.g. [{"name": "product-page", "domain": "example.com"}]. A target without url checks every baseline of the rule set. Default: every stored baseline'
+  },
+  domain: {
+    type: 'string',
+    description: 'Without targets, only check the baselines of this site'
+  },
+  concurrency: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 20,
+    description: `Maximum number of checks in flight at once (default: ${DEFAULT_CONCURRENCY})`
+  },
+  include_data: {
+    type: 'boolean',
+    description: 'Include the current data of every check (default: false)'
+  },
+  use_cache: {
+    type: 'boolean',
+    description: 'Allow cached responses (default: false, so every check fetches the live page)'
+  },
+  ...DRY_RUN_OPTIONS
+};
+
+export const definition = {
+  name: 'check_rules_drift',
+  description: 'Re-run saved rule sets against the URLs of their stored baselines (saved with run_saved_rules and save_baseline: true) and diff the results: field presence, types, list counts and how much of the content changed. Each check gets a healthy / degraded / broken verdict with the fields behind it, and the call returns the worst verdict overall. Checks many rule sets at once, so broken scrapers show up before downstream jobs fail. Each check costs credits like run_saved_rules; use dry_run to see the total first.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...DRIFT_OPTIONS
+    }
+  }
+};
+
+/**
+ * Baselines selected by the arguments
+ * @returns {object[]} name, domain, url, version, data, capturedAt
+ * @throws {Error} NOT_FOUND for a target rule set without baselines
+ */
+function selectBaselines(args) {
+  if (!args.targets) return listBaselines({ domain: args.domain && normalizeDomain(args.domain) });
+
+  return args.targets.flatMap(target => {
+    const domain = target.domain === undefined ? undefined : normalizeDomain(target.domain);
+    const { entry } = getRuleSet(target.name, { domain });
+    const baselines = listBaselines({ name: entry.name, domain: entry.domain, url: target.url });
+    if (baselines.length === 0) {
+      const error = new Error(`"${entry.name}" for ${entry.domain} has no baseline${target.url ? ` for ${target.url}` : ''}`);
+      error.errorCategory = 'NOT_FOUND';
+      error.suggestions = [`Store one with run_saved_rules and save_baseline: true${target.url ? ` on ${target.url}` : ''}`];
+      throw error;
+    }
+    return baselines;
+  });
+}
+
+/**
+ * Re-run one baseline's rule set and diff the result
+ */
+async function checkBaseline(baseline, args) {
+  const target = { name: baseline.name, domain: baseline.domain, url: baseline.url };
+  const result = await runSavedRules.handler({ ...target, bypass_cache: args.use_cache !== true });
+  const payload = JSON.parse(result.content[0].text);
+  const rules = payload.rules_applied || payload.rules_attempted || {};
+
+  const notes = [];
+  if (payload.ruleSet && payload.ruleSet.version !== baseline.version) {
+    notes.push(`The baseline was captured with version ${baseline.version} and version ${payload.ruleSet.version} ran; store a new baseline if the rules changed on purpose`);
+  }
+
+  // A failed request says nothing about the markup, but the scraper is still down
+  if (payload.data === undefined) {
+    return {
+      ...target,
+      verdict: 'broken',
+      error: payload.error,
+      message: payload.message,
+      creditsCost: payload.totalCreditsCost ?? payload.creditsCost ?? null,
+      baselineCapturedAt: baseline.capturedAt,
+      ...(notes.length > 0 && { notes })
+    };
+  }
+
+  const { verdict, fields, summary } = compareToBaseline(baseline.data, payload.data, rules);
+  return {
+    ...target,
+    verdict,
+    summary,
+    fields,
+    creditsCost: payload.totalCreditsCost ?? payload.creditsCost ?? null,
+    baselineCapturedAt: baseline.capturedAt,
+    baselineVersion: baseline.version,
+    version: payload.ruleSet?.version,
+    ...(args.include_data && { data: payload.data }),
+    ...(notes.length > 0 && { notes })
+  };
+}
+
+/**
+ * Check saved rule sets for drift against their baselines
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const invalid = validateToolArgs(args, DRIFT_OPTIONS);
+  if (invalid) return invalid;
+
+  const badTarget = (args.targets || []).findIndex(target => !target || typeof target !== 'object'
+    || typeof target.name !== 'string'
+    || ['domain', 'url'].some(key => target[key] !== undefined && typeof target[key] !== 'string'));
+  if (badTarget !== -1) {
+    return validationError('Invalid targets', `targets[${badTarget}] must be an object with a name and optional domain and url strings`);
+  }
+
+  let baselines;
+  try {
+    baselines = selectBaselines(args);
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'checkRulesDrift',
+      message: 'Failed to select baselines',
+      context: { targets: args.targets, domain: args.domain }
+    });
+  }
+
+  if (baselines.length === 0) {
+    return jsonResult({
+      success: true,
+      verdict: null,
+      message: 'No baselines stored. Store one with run_saved_rules and save_baseline: true, then check it here.',
+      checked: 0,
+      results: []
+    });
+  }
+
+  const concurrency = args.concurrency || DEFAULT_CONCURRENCY;
+
+  if (args.dry_run) {
+    const estimates = await mapWithConcurrency(baselines, concurrency, async baseline => {
+      const result = await runSavedRules.handler({ name: baseline.name, domain: baseline.domain, url: baseline.url, dry_run: true });
+      const payload = JSON.parse(result.content[0].text);
+      return { name: baseline.name, domain: baseline.domain, url: baseline.url, estimatedCredits: payload.estimatedCredits ?? null };
+    });
+    const estimatedCredits = estimates.reduce((total, estimate) => total + (estimate.estimatedCredits || 0), 0);
+    return jsonResult({
+      success: true,
+      dryRun: true,
+      message: `Dry run, nothing was sent to ScrapingBee. ${baselines.length} check(s), expected cost: ${estimatedCredits} credit(s).`,
+      requestCount: baselines.length,
+      estimatedCredits,
+      checks: estimates
+    });
+  }
+
+  const results = await mapWithConcurrency(baselines, concurrency, baseline => checkBaseline(baseline, args));
+  const verdict = worstVerdict(results.map(result => result.verdict));
+  const counts = Object.fromEntries(['healthy', 'degraded', 'broken'].map(name =>
+    [name, results.filter(result => result.verdict === name).length]));
+  const creditsSpent = results.reduce((total, result) => total + (result.creditsCost || 0), 0);
+
+  return jsonResult({
+    success: true,
+    verdict,
+    message: `${results.length} check(s): ${counts.healthy} healthy, ${counts.degraded} degraded, ${counts.broken} broken.` +
+      (verdict === 'healthy' ? '' : ' Fix the rule sets listed with a degraded or broken verdict; fields shows what changed.'),
+    checked: results.length,
+    summary: { ...counts, creditsSpent },
+    results
+  });
+}
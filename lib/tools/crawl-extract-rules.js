@@ -0,0 +1,325 @@
+import { CACHE_OPTIONS } from '../cache.js';
+import { estimateCreditCost } from '../credits.js';
+import { DRY_RUN_OPTIONS, dryRunResult } from '../dry-run.js';
+import { toolErrorResult } from '../errors.js';
+import { buildExtractionRequest, fetchExtraction, getErrorCreditsCost } from '../extraction.js';
+import { totalQueueWait } from '../request-queue.js';
+import { requireApiKey } from '../scrapingbee.js';
+import { paramSchemas, SHARED_PARAMS } from '../scrapingbee-params.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import {
+  parseJsonArg,
+  validateExtractRules,
+  validateJsScenarioArg,
+  validateRequired,
+  validateScrapingBeeParams,
+  validateToolArgs,
+  validationError
+} from '../validation.js';
+
+// ScrapingBee parameters accepted by this tool, applied to every page
+const PARAMS = SHARED_PARAMS;
+
+const DEFAULT_MAX_PAGES = 5;
+
+// Extra field sent with the rules to read the next page link
+const NEXT_PAGE_FIELD = '__next_page';
+
+const PAGE_PLACEHOLDER = '{page}';
+
+const CRAWL_OPTIONS = {
+  url: {
+    type: 'string',
+    description: 'First page URL. Optional with url_template, which then starts at start_page'
+  },
+  next_page_selector: {
+    type: 'string',
+    description: 'CSS/XPath selector of the "next page" link; its href is followed until it disappears. Use this or url_template'
+  },
+  url_template: {
+    type: 'string',
+    description: `Page URL pattern with a ${PAGE_PLACEHOLDER} placeholder, e.g. "https://example.com/search?q=tea&page=${PAGE_PLACEHOLDER}". Use this or next_page_selector`
+  },
+  start_page: {
+    type: 'integer',
+    minimum: 0,
+    description: 'First page number substituted into url_template (default: 1)'
+  },
+  max_pages: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 50,
+    description: `Maximum number of pages to fetch (default: ${DEFAULT_MAX_PAGES})`
+  },
+  max_credits: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Stop before a page would take the credits spent above this limit (estimated from the rendering and proxy options)'
+  },
+  ...CACHE_OPTIONS,
+  ...DRY_RUN_OPTIONS
+};
+
+export const definition = {
+  name: 'crawl_extract_rules',
+  description: 'Follow paginated results and merge list extractions across pages. Takes extract_rules with at least one "type": "list" field, plus either a next_page_selector (the href of the "next" link is followed) or a url_template with a {page} placeholder. Stops at max_pages or max_credits, when the next link disappears, when a page has no items, or when results repeat. Returns the merged lists, the pages visited with their item counts, the stop reason and the credits spent. API key is configured server-side.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      extract_rules: {
+        type: 'string',
+        description: 'JSON-encoded extract_rules, in the same format as test_extract_rules. "type": "list" fields are merged across pages; other fields are taken from the first page'
+      },
+      ...CRAWL_OPTIONS,
+      ...paramSchemas(PARAMS)
+    },
+    required: ['extract_rules']
+  }
+};
+
+function listFields(rules) {
+  return Object.keys(rules).filter(field => rules[field]?.type === 'list');
+}
+
+function pageUrl(template, page) {
+  return template.split(PAGE_PLACEHOLDER).join(encodeURIComponent(String(page)));
+}
+
+function resolveNextUrl(href, currentUrl) {
+  if (typeof href !== 'string' || href.trim() === '' || href.startsWith('javascript:')) return null;
+  try {
+    return new URL(href.trim(), currentUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Validate the crawl-specific arguments
+ * @returns {object|null} Validation error result, or null when valid
+ */
+function validateCrawlArgs(args, rules) {
+  const invalid = validateToolArgs(args, CRAWL_OPTIONS);
+  if (invalid) return invalid;
+
+  if (Boolean(args.next_page_selector) === Boolean(args.url_template)) {
+    return validationError(
+      'Pagination mode required',
+      'Provide exactly one of next_page_selector (follow the "next" link) or url_template (numbered pages with a {page} placeholder).'
+    );
+  }
+  if (args.url_template && !args.url_template.includes(PAGE_PLACEHOLDER)) {
+    return validationError('Invalid url_template', `url_template must contain the ${PAGE_PLACEHOLDER} placeholder`);
+  }
+  if (args.next_page_selector && !args.url) {
+    return validationError('Missing required parameter: url', 'url (the first page) is required with next_page_selector');
+  }
+  if (listFields(rules).length === 0) {
+    return validationError(
+      'No list fields to merge',
+      'extract_rules needs at least one field with "type": "list" to merge across pages, e.g. {"products": {"selector": ".product", "type": "list", "output": {"name": "h2"}}}'
+    );
+  }
+  if (rules[NEXT_PAGE_FIELD]) {
+    return validationError('Reserved field name', `${NEXT_PAGE_FIELD} is used internally to read the next page link; rename that field`);
+  }
+  return null;
+}
+
+/**
+ * Crawl paginated results and merge list fields
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['extract_rules']);
+  if (missing) return missing;
+
+  const { value: extractRulesObj, error: rulesError } = parseJsonArg(args, 'extract_rules');
+  if (rulesError) return rulesError;
+
+  const { report: lintReport, error: lintError } = validateExtractRules(extractRulesObj);
+  if (lintError) return lintError;
+
+  const invalid = validateCrawlArgs(args, extractRulesObj)
+    || validateJsScenarioArg(args)
+    || validateScrapingBeeParams(args, PARAMS);
+  if (invalid) return invalid;
+
+  const {
+    next_page_selector: nextPageSelector,
+    url_template: urlTemplate,
+    start_page: startPage = 1,
+    max_pages: maxPages = DEFAULT_MAX_PAGES,
+    max_credits: maxCredits
+  } = args;
+
+  // The next link is read in the same ScrapingBee call as the data
+  const requestRules = nextPageSelector
+    ? { ...extractRulesObj, [NEXT_PAGE_FIELD]: { selector: nextPageSelector, type: 'item', output: '@href' } }
+    : extractRulesObj;
+  if (nextPageSelector) {
+    const { error: selectorError } = validateExtractRules({ next_page_selector: requestRules[NEXT_PAGE_FIELD] });
+    if (selectorError) return selectorError;
+  }
+
+  const merged = Object.fromEntries(listFields(extractRulesObj).map(field => [field, []]));
+  const seenItems = new Set();
+  const visited = new Set();
+  const pages = [];
+  const estimatedPageCost = estimateCreditCost(args);
+  let firstPageData = null;
+  let creditsSpent = 0;
+  let duplicatesSkipped = 0;
+  let stopReason = 'max_pages';
+  let currentUrl = urlTemplate ? (args.url || pageUrl(urlTemplate, startPage)) : args.url;
+
+  // Otherwise the crawl, or its dry run, would stop before the first page without a word
+  if (maxCredits !== undefined && maxCredits < estimatedPageCost) {
+    return validationError(
+      'max_credits does not cover the first page',
+      `Each page is expected to cost ${estimatedPageCost} credit(s) with these options, but max_credits is ${maxCredits}. Raise max_credits to at least ${estimatedPageCost}, or drop render_js or proxy options to make pages cheaper.`
+    );
+  }
+
+  try {
+    if (args.dry_run) {
+      const requestCount = maxCredits === undefined
+        ? maxPages
+        : Math.min(maxPages, Math.floor(maxCredits / estimatedPageCost));
+      return dryRunResult(
+        buildExtractionRequest({ ...args, url: currentUrl, extract_rules: JSON.stringify(requestRules) }, PARAMS),
+        {
+          requestCount,
+          fields: {
+            // Later pages are only known once the next link has been read
+            ...(urlTemplate
+              ? { pageUrls: Array.from({ length: requestCount }, (_, index) => index === 0 ? currentUrl : pageUrl(urlTemplate, startPage + index)) }
+              : { firstPageUrl: currentUrl, nextPageSelector }),
+            rules_applied: extractRulesObj,
+            ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings })
+          }
+        }
+      );
+    }
+
+    requireApiKey();
+
+    for (let index = 0; index < maxPages; index++) {
+      if (maxCredits !== undefined && creditsSpent + estimatedPageCost > maxCredits) {
+        stopReason = 'max_credits';
+        break;
+      }
+      if (visited.has(currentUrl)) {
+        stopReason = 'repeated_url';
+        break;
+      }
+      visited.add(currentUrl);
+
+      let data;
+      let creditsCost;
+      let cache;
+      let attempts;
+      try {
+        ({ data, creditsCost, cache, attempts } = await fetchExtraction(
+          { ...args, url: currentUrl, extract_rules: JSON.stringify(requestRules) },
+          PARAMS
+        ));
+      } catch (error) {
+        // Without a first page there is nothing to report
+        if (pages.length === 0) throw error;
+        creditsSpent += getErrorCreditsCost(error) || 0;
+        pages.push({
+          url: currentUrl,
+          itemCount: 0,
+          newItems: 0,
+          error: error.message,
+          queueWaitMs: totalQueueWait(error.attempts),
+          ...(error.attempts?.length > 1 && { attempts: error.attempts })
+        });
+        stopReason = 'error';
+        break;
+      }
+      creditsSpent += creditsCost ?? estimatedPageCost;
+
+      const pageData = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+      if (firstPageData === null) firstPageData = pageData;
+
+      // Items are only compared with earlier pages: identical items on one page are distinct listings
+      let itemCount = 0;
+      let newItems = 0;
+      const pageKeys = [];
+      for (const field of Object.keys(merged)) {
+        const items = Array.isArray(pageData[field]) ? pageData[field] : [];
+        itemCount += items.length;
+        for (const item of items) {
+          const key = `${field}:${JSON.stringify(item)}`;
+          if (seenItems.has(key)) {
+            duplicatesSkipped++;
+            continue;
+          }
+          pageKeys.push(key);
+          merged[field].push(item);
+          newItems++;
+        }
+      }
+      for (const key of pageKeys) seenItems.add(key);
+      pages.push({
+        url: currentUrl,
+        itemCount,
+        newItems,
+        creditsCost,
+        cached: cache.cached,
+        queueWaitMs: totalQueueWait(attempts),
+        ...(attempts.length > 1 && { attempts })
+      });
+
+      if (itemCount === 0) {
+        stopReason = 'empty_page';
+        break;
+      }
+      if (newItems === 0) {
+        stopReason = 'repeated_results';
+        break;
+      }
+
+      if (urlTemplate) {
+        currentUrl = pageUrl(urlTemplate, startPage + index + 1);
+      } else {
+        const nextUrl = resolveNextUrl(pageData[NEXT_PAGE_FIELD], currentUrl);
+        if (!nextUrl) {
+          stopReason = 'no_next_page';
+          break;
+        }
+        currentUrl = nextUrl;
+      }
+    }
+
+    const data = { ...firstPageData, ...merged };
+    delete data[NEXT_PAGE_FIELD];
+    const totalItems = Object.values(merged).reduce((total, items) => total + items.length, 0);
+
+    const payload = {
+      success: totalItems > 0,
+      message: `Crawled ${pages.length} page(s), merged ${totalItems} item(s). Stopped: ${stopReason}. ${creditsSpent} credit(s) spent.`,
+      data,
+      pages,
+      pagesVisited: pages.length,
+      totalItems,
+      duplicatesSkipped,
+      stopReason,
+      creditsSpent,
+      rules_applied: extractRulesObj,
+      ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings })
+    };
+
+    return totalItems > 0 ? jsonResult(payload) : jsonError({ ...payload, error: 'EXTRACTION_EMPTY' });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'crawlExtractRules',
+      message: 'Pagination crawl failed',
+      context: { url: currentUrl },
+      fields: { url: currentUrl, rules_attempted: extractRulesObj }
+    });
+  }
+}
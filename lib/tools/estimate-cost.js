@@ -0,0 +1,63 @@
+import { jsonError } from '../tool-result.js';
+import { validateRequired, validateToolArgs } from '../validation.js';
+import * as batchExtractRules from './batch-extract-rules.js';
+import * as crawlExtractRules from './crawl-extract-rules.js';
+import * as getPageHtml from './get-page-html.js';
+import * as getScreenshot from './get-screenshot.js';
+import * as testExtractRules from './test-extract-rules.js';
+
+// Tools that spend credits; each one validates and describes its own dry run
+const ESTIMATED_TOOLS = new Map([
+  testExtractRules,
+  batchExtractRules,
+  crawlExtractRules,
+  getPageHtml,
+  getScreenshot
+].map(tool => [tool.definition.name, tool]));
+
+const ESTIMATE_OPTIONS = {
+  tool: {
+    type: 'string',
+    enum: [...ESTIMATED_TOOLS.keys()],
+    description: 'Tool whose call should be estimated'
+  },
+  arguments: {
+    type: 'object',
+    description: 'Arguments exactly as they would be passed to that tool, e.g. {"url": "https://example.com", "premium_proxy": true}'
+  }
+};
+
+export const definition = {
+  name: 'estimate_cost',
+  description: 'Estimate what a call to a credit-spending tool would cost before making it, e.g. before turning on stealth_proxy, or premium_proxy with render_js. Validates the arguments as the tool would and returns the exact ScrapingBee query it would send (without the api_key), the expected credits per request and in total, and the remaining budgets. Makes no network call and costs no credits. Same as passing dry_run: true to the tool.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...ESTIMATE_OPTIONS
+    },
+    required: ['tool']
+  }
+};
+
+/**
+ * Estimate the cost of a tool call through the tool's dry run
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['tool']);
+  if (missing) return missing;
+
+  const invalid = validateToolArgs(args, ESTIMATE_OPTIONS);
+  if (invalid) return invalid;
+
+  const tool = ESTIMATED_TOOLS.get(args.tool);
+  const result = await tool.handler({ ...args.arguments, dry_run: true });
+
+  // Validation errors are reported as the tool would report them, naming the tool
+  if (result.isError) {
+    const payload = JSON.parse(result.content[0].text);
+    return jsonError({ ...payload, tool: args.tool });
+  }
+  return result;
+}
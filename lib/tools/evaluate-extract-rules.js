@@ -0,0 +1,90 @@
+import { toolErrorResult } from '../errors.js';
+import { applyExtractRules, checkIfEmpty } from '../extract-rules.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import { parseJsonArg, validateExtractRules, validateRequired } from '../validation.js';
+
+export const definition = {
+  name: 'evaluate_extract_rules',
+  description: 'Run extract_rules locally against HTML you already have (pasted HTML or the result of get_page_html), with ScrapingBee-compatible semantics: plain selectors, "selector@attr" shorthand, type item/list, nested output objects, @attr/html/text outputs, table_array/table_json and XPath. Costs no credits and makes no network call - use it to iterate on selectors quickly, then confirm the final rules once with test_extract_rules.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      html: {
+        type: 'string',
+        description: 'Page HTML, or the full JSON text returned by get_page_html'
+      },
+      extract_rules: {
+        type: 'string',
+        description: 'JSON-encoded extract_rules, in the same format as test_extract_rules'
+      }
+    },
+    required: ['html', 'extract_rules']
+  }
+};
+
+/**
+ * Accept raw HTML or a get_page_html result ({"success": true, "html": "..."})
+ * @param {string} input - Tool html argument
+ * @returns {string} HTML document
+ */
+function resolveHtml(input) {
+  if (input.trimStart().startsWith('{')) {
+    try {
+      const parsed = JSON.parse(input);
+      if (typeof parsed.html === 'string') return parsed.html;
+    } catch (e) {
+      // Not a get_page_html result, treat as HTML
+    }
+  }
+  return input;
+}
+
+/**
+ * Evaluate extract rules locally against supplied HTML
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['html', 'extract_rules']);
+  if (missing) return missing;
+
+  const { value: extractRulesObj, error: rulesError } = parseJsonArg(args, 'extract_rules');
+  if (rulesError) return rulesError;
+
+  // Reject rules the live API would reject, even if the local engine could run them
+  const { report: lintReport, error: lintError } = validateExtractRules(extractRulesObj);
+  if (lintError) return lintError;
+
+  try {
+    const data = applyExtractRules(resolveHtml(args.html), extractRulesObj);
+
+    if (checkIfEmpty(data)) {
+      return jsonError({
+        success: false,
+        error: 'EXTRACTION_EMPTY',
+        data,
+        message: 'FAILED: Extraction returned empty results against the supplied HTML. Check the selectors against the markup, and remember that HTML fetched without render_js may lack content added by JavaScript.',
+        rules_attempted: extractRulesObj,
+        isEmpty: true,
+        evaluatedLocally: true
+      });
+    }
+
+    return jsonResult({
+      success: true,
+      data,
+      message: 'Rules evaluated locally. Confirm the final rules with test_extract_rules against the live page.',
+      rules_applied: extractRulesObj,
+      isEmpty: false,
+      ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings }),
+      evaluatedLocally: true
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'evaluateExtractRules',
+      message: 'Local extraction failed',
+      context: { field: error.field, selector: error.selector },
+      fields: { rules_attempted: extractRulesObj }
+    });
+  }
+}
@@ -0,0 +1,110 @@
+import { CACHE_OPTIONS, getCacheStatus } from '../cache.js';
+import { DRY_RUN_OPTIONS, dryRunResult } from '../dry-run.js';
+import { toolErrorResult } from '../errors.js';
+import { formatPage, OUTPUT_FORMAT_PARAM } from '../page-format.js';
+import { readRange, storePage } from '../page-store.js';
+import { totalQueueWait } from '../request-queue.js';
+import { pageUri } from '../resource-events.js';
+import { getAttemptHistory } from '../retry.js';
+import { callScrapingBee, getCreditsCost, requireApiKey } from '../scrapingbee.js';
+import { buildScrapingBeeRequest, paramSchemas, SHARED_PARAMS } from '../scrapingbee-params.js';
+import { jsonResult } from '../tool-result.js';
+import {
+  validateJsScenarioArg,
+  validateRequired,
+  validateScrapingBeeParams,
+  validateToolArgs
+} from '../validation.js';
+
+// ScrapingBee parameters accepted by this tool
+const PARAMS = [...SHARED_PARAMS, 'return_page_source'];
+
+// Output, caching and dry run options, handled by this server and not sent to ScrapingBee
+const TOOL_OPTIONS = {
+  output_format: OUTPUT_FORMAT_PARAM,
+  ...CACHE_OPTIONS,
+  ...DRY_RUN_OPTIONS
+};
+
+export const definition = {
+  name: 'get_page_html',
+  description: 'Fetch the content of a web page using ScrapingBee. Useful for inspecting page structure to determine correct CSS selectors. The document is kept server-side under a handle; the first 50,000 characters are returned, and read_page_html reads further ranges or the HTML under a CSS selector without fetching the page again. The full HTML is also available as the MCP resource in resourceUri. Use output_format "outline" for a compact element tree with ready-to-use selectors, or "markdown"/"text" to read the main content without navigation and other boilerplate. API key is configured server-side.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'The target page URL to fetch'
+      },
+      ...paramSchemas(PARAMS),
+      ...TOOL_OPTIONS
+    },
+    required: ['url']
+  }
+};
+
+/**
+ * Fetch page HTML through ScrapingBee
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const { url, output_format: outputFormat = 'html' } = args;
+
+  const missing = validateRequired(args, ['url']);
+  if (missing) return missing;
+
+  const invalid = validateScrapingBeeParams(args, PARAMS)
+    || validateToolArgs(args, TOOL_OPTIONS)
+    || validateJsScenarioArg(args);
+  if (invalid) return invalid;
+
+  try {
+    if (args.dry_run) return dryRunResult(buildScrapingBeeRequest(args, PARAMS, { url }), { fields: { url } });
+
+    const { queryParams, headers, appliedParams } = buildScrapingBeeRequest(args, PARAMS, {
+      api_key: requireApiKey(),
+      url
+    });
+
+    const response = await callScrapingBee(queryParams, {
+      url,
+      appliedParams,
+      headers,
+      bypassCache: args.bypass_cache === true
+    });
+    const html = await response.text();
+
+    const handle = storePage({ html, url, appliedParams });
+    const { content, details } = formatPage(html, outputFormat, { url });
+    const range = readRange(content);
+    const truncated = range.nextOffset !== null;
+
+    return jsonResult({
+      success: true,
+      handle,
+      resourceUri: pageUri(handle),
+      [outputFormat]: range.content,
+      url,
+      ...(outputFormat !== 'html' && { outputFormat, ...details }),
+      truncated,
+      originalLength: html.length,
+      ...(outputFormat !== 'html' && { totalLength: content.length }),
+      nextOffset: range.nextOffset,
+      ...getCacheStatus(response),
+      creditsCost: getCreditsCost(response),
+      queueWaitMs: totalQueueWait(getAttemptHistory(response)),
+      attempts: getAttemptHistory(response),
+      ...(truncated && {
+        message: `Showing characters 0-${range.length} of ${content.length}. Call read_page_html with handle "${handle}"${outputFormat !== 'html' ? ` and output_format "${outputFormat}"` : ''} and offset ${range.nextOffset}, or with a CSS selector, to read the rest.`
+      })
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'getPageHtml',
+      message: 'Failed to fetch HTML',
+      context: { url },
+      fields: { url }
+    });
+  }
+}
@@ -0,0 +1,84 @@
+import { toolErrorResult } from '../errors.js';
+import { ruleSetUri } from '../resource-events.js';
+import { getRuleSet, normalizeDomain, RULE_SET_OPTIONS } from '../rule-library.js';
+import { jsonResult } from '../tool-result.js';
+import { validateRequired, validateToolArgs, validationError } from '../validation.js';
+
+const GET_OPTIONS = {
+  ...RULE_SET_OPTIONS,
+  version: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Version to fetch (default: the current one)'
+  },
+  include_history: {
+    type: 'boolean',
+    description: 'Include every version with its date and note (default: false)'
+  }
+};
+
+export const definition = {
+  name: 'get_rules',
+  description: 'Fetch a saved rule set from the rule library: its extract_rules (ready to pass to test_extract_rules), the ScrapingBee parameters saved with it, the last test result and the last successful one, and optionally the version history. The domain can be left out when the name is only saved for one site. Costs no credits.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...GET_OPTIONS
+    },
+    required: ['name']
+  }
+};
+
+/**
+ * Fetch a saved rule set
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['name']);
+  if (missing) return missing;
+
+  const invalid = validateToolArgs(args, GET_OPTIONS);
+  if (invalid) return invalid;
+
+  const domain = args.domain === undefined ? undefined : normalizeDomain(args.domain);
+  if (domain === null) return validationError('Invalid domain', 'domain must be a host name such as example.com, or a URL on that site');
+
+  try {
+    const { entry, version } = getRuleSet(args.name, { domain, version: args.version });
+
+    return jsonResult({
+      success: true,
+      message: `"${entry.name}" for ${entry.domain}, version ${version.version} of ${entry.currentVersion}.`,
+      name: entry.name,
+      domain: entry.domain,
+      resourceUri: ruleSetUri(entry.domain, entry.name),
+      ...(entry.description && { description: entry.description }),
+      version: version.version,
+      currentVersion: entry.currentVersion,
+      extract_rules: JSON.stringify(version.rules),
+      rules: version.rules,
+      params: version.params,
+      savedAt: version.savedAt,
+      ...(version.note && { note: version.note }),
+      lastTest: entry.lastTest,
+      lastSuccessfulTest: entry.lastSuccessfulTest,
+      ...(args.include_history && {
+        history: entry.versions.map(saved => ({
+          version: saved.version,
+          savedAt: saved.savedAt,
+          ...(saved.note && { note: saved.note }),
+          ...(saved.savedBy && { savedBy: saved.savedBy }),
+          fields: Object.keys(saved.rules)
+        }))
+      })
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'getRules',
+      message: 'Failed to get rules',
+      context: { name: args.name, domain },
+      fields: { name: args.name, ...(error.availableRuleSets && { availableRuleSets: error.availableRuleSets }) }
+    });
+  }
+}
@@ -0,0 +1,159 @@
+import { CACHE_OPTIONS, getCacheStatus } from '../cache.js';
+import { DRY_RUN_OPTIONS, dryRunResult } from '../dry-run.js';
+import { toolErrorResult } from '../errors.js';
+import { callScrapingBee, getCreditsCost, requireApiKey } from '../scrapingbee.js';
+import { buildScrapingBeeRequest, paramSchemas, SHARED_PARAMS } from '../scrapingbee-params.js';
+import { processImage } from '../image.js';
+import { totalQueueWait } from '../request-queue.js';
+import { screenshotUri } from '../resource-events.js';
+import { getAttemptHistory } from '../retry.js';
+import { storeScreenshot } from '../screenshot-store.js';
+import { jsonResult } from '../tool-result.js';
+import {
+  validateJsScenarioArg,
+  validateRequired,
+  validateScrapingBeeParams,
+  validateToolArgs,
+  validationError
+} from '../validation.js';
+
+// ScrapingBee parameters accepted by this tool
+const PARAMS = [...SHARED_PARAMS, 'screenshot_full_page', 'screenshot_selector'];
+
+// Image post-processing, caching and dry runs, handled by this server and not sent to ScrapingBee
+const TOOL_OPTIONS = {
+  max_width: {
+    type: 'integer',
+    minimum: 100,
+    maximum: 8000,
+    description: 'Downscale the image to at most this width in pixels (keeps aspect ratio)'
+  },
+  image_format: {
+    type: 'string',
+    enum: ['png', 'jpeg'],
+    description: 'Re-encode the image (jpeg is much smaller for full-page captures)'
+  },
+  jpeg_quality: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 100,
+    description: 'JPEG quality when image_format is jpeg (default: 80)'
+  },
+  include_image: {
+    type: 'boolean',
+    description: 'Return the image inline (default: true). Set to false to get only its resourceUri, e.g. for large full-page captures the client reads as a resource'
+  },
+  ...CACHE_OPTIONS,
+  ...DRY_RUN_OPTIONS
+};
+
+export const definition = {
+  name: 'get_screenshot',
+  description: 'Take a screenshot of a web page using ScrapingBee. Returns the capture as an MCP image content block so it can be viewed directly, and keeps it for 30 minutes as the MCP resource in resourceUri. Use screenshot_selector to capture a single element, and max_width/image_format to keep large full-page captures small. Useful for visually debugging page rendering. API key is configured server-side.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'The target page URL to screenshot'
+      },
+      ...paramSchemas(PARAMS),
+      ...TOOL_OPTIONS
+    },
+    required: ['url']
+  }
+};
+
+/**
+ * Capture a page screenshot through ScrapingBee
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const { url } = args;
+
+  const missing = validateRequired(args, ['url']);
+  if (missing) return missing;
+
+  const invalid = validateScrapingBeeParams(args, PARAMS)
+    || validateToolArgs(args, TOOL_OPTIONS)
+    || validateJsScenarioArg(args);
+  if (invalid) return invalid;
+
+  // ScrapingBee rejects screenshot=true with render_js=false, so fail before spending a request
+  if (args.render_js === false) {
+    return validationError(
+      'Screenshots require render_js',
+      'get_screenshot always sends screenshot=true, which needs the headless browser. Remove render_js=false.'
+    );
+  }
+
+  // Fixed query parameters of every screenshot request
+  const base = {
+    url,
+    screenshot: 'true'
+  };
+
+  try {
+    if (args.dry_run) return dryRunResult(buildScrapingBeeRequest(args, PARAMS, base), { fields: { url } });
+
+    const { queryParams, headers, appliedParams } = buildScrapingBeeRequest(args, PARAMS, {
+      api_key: requireApiKey(),
+      ...base
+    });
+
+    const response = await callScrapingBee(queryParams, {
+      url,
+      appliedParams,
+      headers,
+      bypassCache: args.bypass_cache === true
+    });
+
+    const original = Buffer.from(await response.arrayBuffer());
+    const contentType = (response.headers.get('content-type') || 'image/png').split(';')[0].trim();
+
+    const image = await processImage(original, contentType, {
+      maxWidth: args.max_width,
+      format: args.image_format,
+      quality: args.jpeg_quality
+    });
+
+    const id = storeScreenshot({ buffer: image.buffer, mimeType: image.mimeType, url, width: image.width, height: image.height });
+    const includeImage = args.include_image !== false;
+
+    const result = jsonResult({
+      success: true,
+      message: includeImage
+        ? 'Screenshot captured successfully'
+        : 'Screenshot captured successfully. Read it with resources/read on resourceUri',
+      url,
+      resourceUri: screenshotUri(id),
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+      bytes: image.buffer.length,
+      originalBytes: original.length,
+      transformed: image.transformed,
+      ...getCacheStatus(response),
+      creditsCost: getCreditsCost(response),
+      queueWaitMs: totalQueueWait(getAttemptHistory(response)),
+      attempts: getAttemptHistory(response),
+      ...(image.warnings.length > 0 && { warnings: image.warnings })
+    });
+
+    if (!includeImage) return result;
+    result.content.push({
+      type: 'image',
+      data: image.buffer.toString('base64'),
+      mimeType: image.mimeType
+    });
+    return result;
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'getScreenshot',
+      message: 'Failed to capture screenshot',
+      context: { url },
+      fields: { url }
+    });
+  }
+}
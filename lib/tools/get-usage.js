@@ -0,0 +1,78 @@
+import { getRequestContext } from '../request-context.js';
+import { getQueueStatus } from '../request-queue.js';
+import { fetchAccountUsage } from '../scrapingbee.js';
+import { jsonResult } from '../tool-result.js';
+import { getUsageReport } from '../usage.js';
+import { validateToolArgs } from '../validation.js';
+
+const USAGE_OPTIONS = {
+  include_account: {
+    type: 'boolean',
+    description: 'Also fetch the account plan and remaining credit balance from ScrapingBee (default: true, costs no credits)'
+  }
+};
+
+export const definition = {
+  name: 'get_usage',
+  description: 'Report the ScrapingBee credits spent through this server: totals, today, the current client session, the number of sessions, and breakdowns per tool and target domain, plus cache hits. Also shows the configured session/daily budgets with the credits remaining, and the account balance from ScrapingBee\'s usage endpoint. Check it before expensive runs (batch, crawl, premium or stealth proxies).',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...USAGE_OPTIONS
+    }
+  }
+};
+
+/**
+ * Summarize the account response from ScrapingBee's usage endpoint
+ */
+function summarizeAccount(account) {
+  const maxCredits = account.max_api_credit;
+  const usedCredits = account.used_api_credit;
+  return {
+    maxCredits,
+    usedCredits,
+    ...(typeof maxCredits === 'number' && typeof usedCredits === 'number' && {
+      remainingCredits: Math.max(0, maxCredits - usedCredits)
+    }),
+    maxConcurrency: account.max_concurrency,
+    currentConcurrency: account.current_concurrency,
+    renewalDate: account.renewal_subscription_date
+  };
+}
+
+/**
+ * Report credit usage, budgets and the account balance
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const invalid = validateToolArgs(args, USAGE_OPTIONS);
+  if (invalid) return invalid;
+
+  const { sessionId } = getRequestContext();
+  const usage = getUsageReport(sessionId);
+
+  let account;
+  let accountError;
+  if (args.include_account !== false) {
+    try {
+      account = summarizeAccount(await fetchAccountUsage());
+    } catch (error) {
+      // Local usage is still useful when the account lookup fails
+      console.error('[ScrapingBee] Usage endpoint failed:', error.message);
+      accountError = { error: error.message, errorCategory: error.errorCategory || 'UNKNOWN' };
+    }
+  }
+
+  return jsonResult({
+    success: true,
+    message: `${usage.totals.credits} credit(s) spent through this server since ${usage.since} ` +
+      `(${usage.totals.requests} request(s), ${usage.totals.cacheHits} cache hit(s))` +
+      (account?.remainingCredits !== undefined ? `. ${account.remainingCredits} credit(s) left on the account.` : '.'),
+    ...usage,
+    queue: getQueueStatus(),
+    ...(account && { account }),
+    ...(accountError && { accountError })
+  });
+}
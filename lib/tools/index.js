@@ -0,0 +1,78 @@
+import { toolErrorResult } from '../errors.js';
+import { runWithContext } from '../request-context.js';
+import { jsonError } from '../tool-result.js';
+import * as batchExtractRules from './batch-extract-rules.js';
+import * as buildJsScenario from './build-js-scenario.js';
+import * as checkRulesDrift from './check-rules-drift.js';
+import * as crawlExtractRules from './crawl-extract-rules.js';
+import * as estimateCost from './estimate-cost.js';
+import * as evaluateExtractRules from './evaluate-extract-rules.js';
+import * as getPageHtml from './get-page-html.js';
+import * as getRules from './get-rules.js';
+import * as getScreenshot from './get-screenshot.js';
+import * as getUsage from './get-usage.js';
+import * as lintExtractRules from './lint-extract-rules.js';
+import * as listRules from './list-rules.js';
+import * as readPageHtml from './read-page-html.js';
+import * as runSavedRules from './run-saved-rules.js';
+import * as saveRules from './save-rules.js';
+import * as testExtractRules from './test-extract-rules.js';
+
+// Shared tool registry served by both the stdio and the Streamable HTTP transport
+const registry = [
+  testExtractRules,
+  batchExtractRules,
+  crawlExtractRules,
+  getPageHtml,
+  readPageHtml,
+  getScreenshot,
+  evaluateExtractRules,
+  lintExtractRules,
+  buildJsScenario,
+  saveRules,
+  listRules,
+  getRules,
+  runSavedRules,
+  checkRulesDrift,
+  estimateCost,
+  getUsage
+];
+
+// Tool definitions as returned by tools/list
+export const tools = registry.map(tool => tool.definition);
+
+const handlers = new Map(registry.map(tool => [tool.definition.name, tool.handler]));
+
+/**
+ * Dispatch a tools/call request to the matching tool implementation
+ * @param {string} name - Tool name
+ * @param {object} [args] - Tool arguments
+ * @param {object} [options]
+ * @param {string} [options.sessionId] - Client session, used for usage tracking and budgets
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function callTool(name, args = {}, { sessionId = 'default' } = {}) {
+  const handler = handlers.get(name);
+
+  if (!handler) {
+    const availableTools = tools.map(tool => tool.name);
+    return jsonError({
+      success: false,
+      error: `Unknown tool: ${name}`,
+      errorCategory: 'INVALID_TOOL',
+      availableTools,
+      message: `The tool "${name}" does not exist. Available tools: ${availableTools.join(', ')}`
+    });
+  }
+
+  try {
+    return await runWithContext({ tool: name, sessionId }, () => handler(args || {}));
+  } catch (error) {
+    // Unexpected errors that escaped the tool implementation
+    return toolErrorResult(error, {
+      operation: 'tools/call',
+      message: `Tool "${name}" failed`,
+      context: { tool: name, argsProvided: Object.keys(args || {}) }
+    });
+  }
+}
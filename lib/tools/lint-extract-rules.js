@@ -0,0 +1,45 @@
+import { lintExtractRules } from '../rules-lint.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import { parseJsonArg, validateRequired } from '../validation.js';
+
+export const definition = {
+  name: 'lint_extract_rules',
+  description: 'Statically validate extract_rules without calling ScrapingBee. Checks the rule shape (selector, type, output, selector_type, clean), unknown keys, CSS/XPath syntax, detects XPath vs CSS, and flags pseudo-selectors ScrapingBee does not support (:nth-child, :not, :has, ...) with their location and a suggested fix. test_extract_rules runs the same checks automatically before spending credits.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      extract_rules: {
+        type: 'string',
+        description: 'JSON-encoded extract_rules, in the same format as test_extract_rules'
+      }
+    },
+    required: ['extract_rules']
+  }
+};
+
+/**
+ * Lint extract rules and report errors, warnings and detected selector types
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['extract_rules']);
+  if (missing) return missing;
+
+  const { value: extractRulesObj, error: rulesError } = parseJsonArg(args, 'extract_rules');
+  if (rulesError) return rulesError;
+
+  const report = lintExtractRules(extractRulesObj);
+  const payload = {
+    success: report.valid,
+    valid: report.valid,
+    message: report.valid
+      ? `extract_rules are valid${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`
+      : `extract_rules have ${report.errors.length} error(s). Fix them before calling test_extract_rules.`,
+    errors: report.errors,
+    warnings: report.warnings,
+    fields: report.fields
+  };
+
+  return report.valid ? jsonResult(payload) : jsonError(payload);
+}
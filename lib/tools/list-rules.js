@@ -0,0 +1,54 @@
+import { toolErrorResult } from '../errors.js';
+import { listRuleSets, normalizeDomain, RULE_SET_OPTIONS } from '../rule-library.js';
+import { jsonResult } from '../tool-result.js';
+import { validateToolArgs, validationError } from '../validation.js';
+
+const LIST_OPTIONS = {
+  domain: {
+    ...RULE_SET_OPTIONS.domain,
+    description: 'Only list rule sets for this site, e.g. "example.com". A URL works too'
+  }
+};
+
+export const definition = {
+  name: 'list_rules',
+  description: 'List the rule sets saved in the persistent rule library: name, domain, description, current version, fields, and when they were last tested successfully. Check it before writing new rules for a site, then fetch a rule set with get_rules or run it with run_saved_rules. Costs no credits.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...LIST_OPTIONS
+    }
+  }
+};
+
+/**
+ * List saved rule sets
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const invalid = validateToolArgs(args, LIST_OPTIONS);
+  if (invalid) return invalid;
+
+  const domain = args.domain === undefined ? undefined : normalizeDomain(args.domain);
+  if (domain === null) return validationError('Invalid domain', 'domain must be a host name such as example.com, or a URL on that site');
+
+  try {
+    const ruleSets = listRuleSets({ domain });
+    return jsonResult({
+      success: true,
+      message: ruleSets.length > 0
+        ? `${ruleSets.length} saved rule set(s)${domain ? ` for ${domain}` : ''}.`
+        : `No saved rule sets${domain ? ` for ${domain}` : ''}. Save validated rules with save_rules.`,
+      ...(domain && { domain }),
+      count: ruleSets.length,
+      ruleSets
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'listRules',
+      message: 'Failed to read the rule library',
+      context: { domain }
+    });
+  }
+}
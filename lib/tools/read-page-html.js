@@ -0,0 +1,111 @@
+import { toolErrorResult } from '../errors.js';
+import { formatPage, OUTPUT_FORMAT_PARAM } from '../page-format.js';
+import { DEFAULT_READ_LENGTH, getPage, listPages, readRange, selectSubtrees } from '../page-store.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import { validateRequired, validateToolArgs, validationError } from '../validation.js';
+
+const READ_OPTIONS = {
+  offset: {
+    type: 'integer',
+    minimum: 0,
+    description: 'Character position to start reading from (default: 0)'
+  },
+  length: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 200000,
+    description: `Maximum number of characters to return (default: ${DEFAULT_READ_LENGTH})`
+  },
+  selector: {
+    type: 'string',
+    description: 'CSS selector; return only the outer HTML of the matching elements (e.g. "#results"). offset/length then apply to the selected HTML'
+  },
+  output_format: OUTPUT_FORMAT_PARAM
+};
+
+export const definition = {
+  name: 'read_page_html',
+  description: 'Read a page previously fetched with get_page_html by its handle, without calling ScrapingBee again (no credits). Read by character range (offset/length) to page through large documents, or pass a CSS selector to get just the HTML under matching elements. output_format returns the selection as an outline, Markdown or plain text instead of HTML. Handles expire after 30 minutes.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      handle: {
+        type: 'string',
+        description: 'Handle returned by get_page_html'
+      },
+      ...READ_OPTIONS
+    },
+    required: ['handle']
+  }
+};
+
+/**
+ * Read a stored document by range or CSS-selected subtree
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const { handle, selector, offset, length, output_format: outputFormat = 'html' } = args;
+
+  const missing = validateRequired(args, ['handle']);
+  if (missing) return missing;
+
+  const invalid = validateToolArgs(args, READ_OPTIONS);
+  if (invalid) return invalid;
+
+  const page = getPage(handle);
+  if (!page) {
+    return validationError(
+      `Unknown or expired handle: ${handle}`,
+      'No stored document has this handle. Fetch the page again with get_page_html to get a new handle.',
+      { availableHandles: listPages() }
+    );
+  }
+
+  try {
+    let source = page.html;
+    let matchCount;
+    if (selector) {
+      const matches = selectSubtrees(page.html, selector);
+      matchCount = matches.length;
+      if (matchCount === 0) {
+        return jsonError({
+          success: false,
+          error: 'NO_MATCH',
+          handle,
+          url: page.url,
+          selector,
+          matchCount,
+          message: `No elements match "${selector}" in the stored document. Check the selector against the HTML, and remember that content added by JavaScript is only present when the page was fetched with render_js.`
+        });
+      }
+      source = matches.join('\n');
+    }
+
+    // The outline walks the full document so its selector paths stay valid
+    const { content, details } = outputFormat === 'outline'
+      ? formatPage(page.html, outputFormat, { selector })
+      : formatPage(source, outputFormat, { url: page.url, fragment: Boolean(selector) });
+    const range = readRange(content, offset, length);
+
+    return jsonResult({
+      success: true,
+      handle,
+      url: page.url,
+      ...(selector && { selector, matchCount }),
+      ...(outputFormat !== 'html' && { outputFormat, ...details }),
+      [outputFormat]: range.content,
+      offset: range.offset,
+      length: range.length,
+      totalLength: range.totalLength,
+      nextOffset: range.nextOffset
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'readPageHtml',
+      message: 'Failed to read stored HTML',
+      context: { handle, selector },
+      fields: { handle }
+    });
+  }
+}
@@ -0,0 +1,175 @@
+import { CACHE_OPTIONS } from '../cache.js';
+import { DRY_RUN_OPTIONS } from '../dry-run.js';
+import { toolErrorResult } from '../errors.js';
+import { ESCALATION_OPTIONS } from '../escalation.js';
+import { DIAGNOSE_OPTIONS } from '../field-diagnostics.js';
+import { ruleSetUri } from '../resource-events.js';
+import { getRuleSet, normalizeDomain, recordTestResult, RULE_SET_OPTIONS, saveBaseline } from '../rule-library.js';
+import { SCHEMA_OPTIONS } from '../schema-validation.js';
+import { paramSchemas, SHARED_PARAMS } from '../scrapingbee-params.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import { validateRequired, validateToolArgs, validationError } from '../validation.js';
+import * as testExtractRules from './test-extract-rules.js';
+
+// Saved parameters that auto_escalate chooses itself
+const TIER_PARAMS = ['render_js', 'premium_proxy', 'stealth_proxy', 'own_proxy'];
+
+// Failures raised before a request reaches the page: rejected arguments, a missing or
+// refused API key, budget refusals, a full queue and unrecorded cassette requests
+const PRE_FLIGHT_ERRORS = ['VALIDATION', 'AUTH', 'CONFIGURATION', 'BUDGET_EXCEEDED', 'QUEUE_TIMEOUT', 'CASSETTE_MISS'];
+
+const RUN_OPTIONS = {
+  ...RULE_SET_OPTIONS,
+  domain: {
+    ...RULE_SET_OPTIONS.domain,
+    description: 'Site the rules were saved for (default: the domain of url)'
+  },
+  version: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Saved version to run (default: the current one)'
+  },
+  save_baseline: {
+    type: 'boolean',
+    description: 'Store the extracted data as the baseline for this URL, which check_rules_drift compares later runs with. Only a successful run with every field filled is stored'
+  }
+};
+
+export const definition = {
+  name: 'run_saved_rules',
+  description: 'Run a rule set from the rule library against a URL, with the ScrapingBee parameters saved alongside it. Works like test_extract_rules: same result, same credit cost, and any parameter given here overrides the saved one. The outcome is recorded as the rule set\'s last test, so list_rules shows which rules still work.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: RUN_OPTIONS.name,
+      url: {
+        type: 'string',
+        description: 'The target page URL to scrape'
+      },
+      domain: RUN_OPTIONS.domain,
+      version: RUN_OPTIONS.version,
+      save_baseline: RUN_OPTIONS.save_baseline,
+      ...paramSchemas(SHARED_PARAMS),
+      ...SCHEMA_OPTIONS,
+      ...DIAGNOSE_OPTIONS,
+      ...ESCALATION_OPTIONS,
+      ...CACHE_OPTIONS,
+      ...DRY_RUN_OPTIONS
+    },
+    required: ['name', 'url']
+  }
+};
+
+/**
+ * Look up the rule set for a URL: on the given domain, on the URL's domain, or
+ * on the only domain it is saved for
+ * @returns {{ entry: object, version: object, warning?: string }}
+ */
+function findSavedRules(args, urlDomain) {
+  if (args.domain !== undefined) return getRuleSet(args.name, { domain: normalizeDomain(args.domain), version: args.version });
+
+  try {
+    return getRuleSet(args.name, { domain: urlDomain, version: args.version });
+  } catch (error) {
+    if (error.errorCategory !== 'NOT_FOUND' || error.availableRuleSets === undefined) throw error;
+
+    // Not saved for this site; fall back to a rule set saved under the name elsewhere
+    const saved = getRuleSet(args.name, { version: args.version });
+    return { ...saved, warning: `"${args.name}" is saved for ${saved.entry.domain}, not ${urlDomain}; running it anyway` };
+  }
+}
+
+/**
+ * Run a saved rule set through test_extract_rules and record the outcome
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['name', 'url']);
+  if (missing) return missing;
+
+  const invalid = validateToolArgs(args, RUN_OPTIONS);
+  if (invalid) return invalid;
+
+  const urlDomain = normalizeDomain(args.url);
+  if (!urlDomain) return validationError('Invalid url', `"${args.url}" is not a valid URL`);
+  if (args.domain !== undefined && !normalizeDomain(args.domain)) {
+    return validationError('Invalid domain', 'domain must be a host name such as example.com, or a URL on that site');
+  }
+
+  let saved;
+  try {
+    saved = findSavedRules(args, urlDomain);
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'runSavedRules',
+      message: 'Failed to load saved rules',
+      context: { name: args.name, url: args.url },
+      fields: { name: args.name, url: args.url, ...(error.availableRuleSets && { availableRuleSets: error.availableRuleSets }) }
+    });
+  }
+
+  const { entry, version, warning } = saved;
+  // name, domain and version pick the rule set; the rest is passed on to the extraction
+  const { name: _name, domain: _domain, version: _version, save_baseline: saveAsBaseline, ...overrides } = args;
+  const savedParams = overrides.auto_escalate
+    ? Object.fromEntries(Object.entries(version.params).filter(([param]) => !TIER_PARAMS.includes(param)))
+    : version.params;
+
+  const result = await testExtractRules.handler({
+    ...savedParams,
+    ...overrides,
+    extract_rules: JSON.stringify(version.rules)
+  });
+  const payload = JSON.parse(result.content[0].text);
+
+  const ruleSet = {
+    name: entry.name,
+    domain: entry.domain,
+    version: version.version,
+    currentVersion: entry.currentVersion,
+    resourceUri: ruleSetUri(entry.domain, entry.name)
+  };
+
+  // Dry runs and pre-flight refusals never reached the page, so they are not a test of the rules
+  if (!args.dry_run && !PRE_FLIGHT_ERRORS.includes(payload.errorCategory)) {
+    // A partial run has broken fields, so it must not count as the last successful test
+    const succeeded = payload.success && !payload.isPartial;
+    try {
+      recordTestResult(entry.name, entry.domain, {
+        version: version.version,
+        url: args.url,
+        success: succeeded,
+        ...(!payload.success && { error: payload.error }),
+        creditsCost: payload.totalCreditsCost ?? payload.creditsCost ?? null,
+        ...(payload.emptyFields && { emptyFields: payload.emptyFields }),
+        ...(payload.data !== undefined && { data: payload.data })
+      });
+    } catch (error) {
+      console.error(`[ScrapingBee] Could not record the test of ${entry.domain}/${entry.name}: ${error.message}`);
+    }
+  }
+
+  const warnings = warning ? [warning] : [];
+  let baseline;
+  if (saveAsBaseline && !args.dry_run) {
+    if (payload.success && !payload.isPartial) {
+      try {
+        const stored = saveBaseline(entry.name, entry.domain, { version: version.version, url: args.url, data: payload.data });
+        baseline = { saved: true, capturedAt: stored.capturedAt };
+      } catch (error) {
+        warnings.push(`Not saved as baseline: ${error.message}`);
+      }
+    } else {
+      warnings.push('Not saved as baseline: only a successful run with every field filled is stored');
+    }
+  }
+
+  const combined = {
+    ...payload,
+    ruleSet,
+    ...(baseline && { baseline }),
+    ...(warnings.length > 0 && { warnings })
+  };
+  return result.isError ? jsonError(combined) : jsonResult(combined);
+}
@@ -0,0 +1,129 @@
+import { toolErrorResult } from '../errors.js';
+import { getRequestContext } from '../request-context.js';
+import { ruleSetUri } from '../resource-events.js';
+import { normalizeDomain, RULE_SET_OPTIONS, saveRuleSet } from '../rule-library.js';
+import { SHARED_PARAMS } from '../scrapingbee-params.js';
+import { jsonResult } from '../tool-result.js';
+import {
+  parseJsonArg,
+  validateExtractRules,
+  validateJsScenarioArg,
+  validateRequired,
+  validateScrapingBeeParams,
+  validateToolArgs,
+  validationError
+} from '../validation.js';
+
+const SAVE_OPTIONS = {
+  ...RULE_SET_OPTIONS,
+  params: {
+    type: 'object',
+    description: 'ScrapingBee parameters the rules need, stored with them and applied by run_saved_rules, e.g. {"render_js": false} or {"wait_for": ".price"}'
+  },
+  description: {
+    type: 'string',
+    description: 'What the rules extract, shown by list_rules'
+  },
+  note: {
+    type: 'string',
+    description: 'What changed in this version, kept in the version history'
+  }
+};
+
+export const definition = {
+  name: 'save_rules',
+  description: 'Save a validated extract_rules set to the persistent rule library under a name and domain, with the ScrapingBee parameters it needs. Saving changed rules under an existing name adds a new version and keeps the history; saving identical rules does nothing. Save rules once test_extract_rules has confirmed them, then reuse them with run_saved_rules. Costs no credits.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: SAVE_OPTIONS.name,
+      domain: SAVE_OPTIONS.domain,
+      extract_rules: {
+        type: 'string',
+        description: 'JSON-encoded extract_rules, in the same format as test_extract_rules'
+      },
+      params: SAVE_OPTIONS.params,
+      description: SAVE_OPTIONS.description,
+      note: SAVE_OPTIONS.note
+    },
+    required: ['name', 'domain', 'extract_rules']
+  }
+};
+
+/**
+ * Validate the ScrapingBee parameters stored with a rule set
+ * @returns {object|null} Validation error result, or null when valid
+ */
+function validateSavedParams(params) {
+  const unknown = Object.keys(params).filter(name => !SHARED_PARAMS.includes(name));
+  if (unknown.length > 0) {
+    return validationError(
+      'Invalid params',
+      `Unknown ScrapingBee parameter(s) in params: ${unknown.join(', ')}. Allowed: ${SHARED_PARAMS.join(', ')}`
+    );
+  }
+  return validateScrapingBeeParams(params, SHARED_PARAMS) || validateJsScenarioArg(params);
+}
+
+/**
+ * Save a rule set to the library
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const missing = validateRequired(args, ['name', 'domain', 'extract_rules']);
+  if (missing) return missing;
+
+  const invalid = validateToolArgs(args, SAVE_OPTIONS);
+  if (invalid) return invalid;
+
+  const domain = normalizeDomain(args.domain);
+  if (!domain) return validationError('Invalid domain', 'domain must be a host name such as example.com, or a URL on that site');
+
+  const { value: extractRulesObj, error: rulesError } = parseJsonArg(args, 'extract_rules');
+  if (rulesError) return rulesError;
+
+  // Only valid rules go into the shared library
+  const { error: lintError } = validateExtractRules(extractRulesObj);
+  if (lintError) return lintError;
+
+  const params = args.params || {};
+  const invalidParams = validateSavedParams(params);
+  if (invalidParams) return invalidParams;
+
+  try {
+    const { entry, created, unchanged } = saveRuleSet({
+      name: args.name,
+      domain,
+      rules: extractRulesObj,
+      params,
+      description: args.description,
+      note: args.note,
+      sessionId: getRequestContext().sessionId
+    });
+
+    let message;
+    if (created) message = `Saved "${entry.name}" for ${domain} as version 1.`;
+    else if (unchanged) message = `"${entry.name}" for ${domain} already matches version ${entry.currentVersion}; no new version saved.`;
+    else message = `Saved "${entry.name}" for ${domain} as version ${entry.currentVersion}.`;
+
+    return jsonResult({
+      success: true,
+      message: `${message} Run it with run_saved_rules.`,
+      name: entry.name,
+      domain,
+      version: entry.currentVersion,
+      resourceUri: ruleSetUri(domain, entry.name),
+      created,
+      unchanged,
+      fields: Object.keys(extractRulesObj)
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'saveRules',
+      message: 'Failed to save rules',
+      context: { name: args.name, domain },
+      fields: { name: args.name, domain }
+    });
+  }
+}
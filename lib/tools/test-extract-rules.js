@@ -0,0 +1,229 @@
+import { CACHE_OPTIONS } from '../cache.js';
+import { DRY_RUN_OPTIONS, dryRunResult } from '../dry-run.js';
+import { toolErrorResult } from '../errors.js';
+import {
+  ESCALATION_OPTIONS,
+  ESCALATION_TIERS,
+  extractWithEscalation,
+  planEscalation,
+  validateEscalationArgs
+} from '../escalation.js';
+import { checkIfEmpty } from '../extract-rules.js';
+import { buildExtractionRequest, fetchExtraction } from '../extraction.js';
+import { describeFields, diagnoseEmptyFields, DIAGNOSE_OPTIONS } from '../field-diagnostics.js';
+import { totalQueueWait } from '../request-queue.js';
+import { compileSchema, SCHEMA_OPTIONS, validateData } from '../schema-validation.js';
+import { paramSchemas, SHARED_PARAMS } from '../scrapingbee-params.js';
+import { jsonError, jsonResult } from '../tool-result.js';
+import {
+  parseJsonArg,
+  validateExtractRules,
+  validateJsScenarioArg,
+  validateRequired,
+  validateScrapingBeeParams,
+  validateToolArgs,
+  validationError
+} from '../validation.js';
+
+// ScrapingBee parameters accepted by this tool
+const PARAMS = SHARED_PARAMS;
+
+// Handled by this server and not sent to ScrapingBee
+const TOOL_OPTIONS = {
+  ...SCHEMA_OPTIONS,
+  ...DIAGNOSE_OPTIONS,
+  ...ESCALATION_OPTIONS,
+  ...CACHE_OPTIONS,
+  ...DRY_RUN_OPTIONS
+};
+
+export const definition = {
+  name: 'test_extract_rules',
+  description: 'Test web scraping extract rules using ScrapingBee API. Extracts structured data from web pages using CSS/XPath selectors. Use this to validate that your CSS selectors work correctly before implementing them in production scraping configurations. Pass expected_schema to also check that the data has the shape your pipeline expects. API key is configured server-side.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'The target page URL to scrape'
+      },
+      extract_rules: {
+        type: 'string',
+        description: 'JSON-encoded string describing what to extract. Use simple format for single fields: {"title": "h1"}. Use list format for arrays: {"items": {"selector": ".item", "type": "list", "output": {"name": ".name"}}}. IMPORTANT: ScrapingBee uses a LIMITED CSS subset - avoid :nth-of-type(), :nth-child(), :not(), :has() and other pseudo-selectors. Use class names and IDs instead.'
+      },
+      ...paramSchemas(PARAMS),
+      ...TOOL_OPTIONS
+    },
+    required: ['url', 'extract_rules']
+  }
+};
+
+/**
+ * Test extract rules using ScrapingBee API
+ * @param {object} args - Tool arguments (see definition.inputSchema)
+ * @returns {Promise<object>} MCP tool result
+ */
+export async function handler(args) {
+  const { url } = args;
+
+  const missing = validateRequired(args, ['url', 'extract_rules']);
+  if (missing) return missing;
+
+  // Validate extract_rules JSON
+  const { value: extractRulesObj, error: rulesError } = parseJsonArg(args, 'extract_rules');
+  if (rulesError) return rulesError;
+
+  // Lint the rules so invalid selectors never cost a credit
+  const { report: lintReport, error: lintError } = validateExtractRules(extractRulesObj);
+  if (lintError) return lintError;
+
+  // Validate js_scenario if provided
+  const scenarioError = validateJsScenarioArg(args);
+  if (scenarioError) return scenarioError;
+
+  const invalid = validateScrapingBeeParams(args, PARAMS)
+    || validateToolArgs(args, TOOL_OPTIONS)
+    || validateEscalationArgs(args);
+  if (invalid) return invalid;
+
+  // A broken schema would fail every extraction, so reject it before spending credits
+  let validate;
+  if (args.expected_schema !== undefined) {
+    let schemaError;
+    ({ validate, error: schemaError } = compileSchema(args.expected_schema));
+    if (schemaError) return validationError('Invalid expected_schema', `expected_schema is not a valid JSON Schema: ${schemaError}`);
+  }
+
+  try {
+    if (args.dry_run) {
+      const requests = args.auto_escalate
+        ? planEscalation(args).map(({ params }) => buildExtractionRequest({ ...args, ...params }, PARAMS))
+        : buildExtractionRequest(args, PARAMS);
+      return dryRunResult(requests, {
+        fields: {
+          url,
+          rules_applied: extractRulesObj,
+          ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings })
+        }
+      });
+    }
+
+    let escalation;
+    let extraction;
+    if (args.auto_escalate) {
+      ({ extraction, ...escalation } = await extractWithEscalation(args, PARAMS));
+    } else {
+      extraction = await fetchExtraction(args, PARAMS);
+    }
+    const { data, creditsCost, cache, attempts } = extraction;
+    const schemaValidation = validate && validateData(validate, data);
+
+    // Per-field report; empty fields are checked against the page HTML where it is available
+    let fields = describeFields(data, extractRulesObj);
+    const emptyFields = fields.flatMap(entry => (entry.status !== 'matched'
+      ? [entry.field]
+      : (entry.emptyOutputFields || []).map(key => `${entry.field}.${key}`)));
+    let diagnostics;
+    if (fields.some(entry => entry.status !== 'matched')) {
+      const tier = escalation && ESCALATION_TIERS.find(({ tier: name }) => name === escalation.tiers.at(-1).tier);
+      ({ fields, ...diagnostics } = await diagnoseEmptyFields({
+        args: { ...args, ...tier?.params },
+        names: PARAMS,
+        rules: extractRulesObj,
+        fields,
+        fetch: args.diagnose_html === true
+      }));
+    }
+    const fieldReport = { fields, ...(emptyFields.length > 0 && { emptyFields }), ...(diagnostics && { diagnostics }) };
+
+    // Everything the call spent: every escalation tier plus the diagnose_html fetches
+    const extractionCost = escalation ? escalation.creditsSpent : creditsCost;
+    const diagnosticsCost = diagnostics?.creditsCost || 0;
+    const totalCreditsCost = extractionCost === null || extractionCost === undefined
+      ? (diagnosticsCost || null)
+      : extractionCost + diagnosticsCost;
+
+    // CRITICAL: Return success: false when extraction is empty
+    // This ensures the AI knows the selectors didn't work and should NOT return these rules
+    if (checkIfEmpty(data)) {
+      return jsonError({
+        success: false,
+        error: 'EXTRACTION_EMPTY',
+        data,
+        message: escalation
+          ? `FAILED: Extraction returned empty results on every tier up to ${escalation.ceiling} (${escalation.creditsSpent} credit(s) spent). The CSS selectors do NOT match any elements on the page. You MUST NOT return these rules as working. Try: 1) Verify selectors exist in the HTML, 2) Add wait or wait_for for dynamically loaded content. fields shows, per rule, where its selector matches.`
+          : 'FAILED: Extraction returned empty results. The CSS selectors do NOT match any elements on the page. You MUST NOT return these rules as working. Try: 1) Verify selectors exist in the HTML, 2) Enable render_js=true for JavaScript-heavy pages, 3) Add wait or wait_for for dynamically loaded content, 4) Use premium_proxy=true for protected sites. fields shows, per rule, where its selector matches.',
+        url,
+        rules_attempted: extractRulesObj,
+        isEmpty: true,
+        ...fieldReport,
+        ...cache,
+        creditsCost,
+        totalCreditsCost,
+        queueWaitMs: totalQueueWait(attempts),
+        attempts,
+        ...(escalation && { escalation }),
+        ...(schemaValidation && { schemaValidation })
+      });
+    }
+
+    // Data that does not have the expected shape is a failure even when it is not empty
+    if (schemaValidation && !schemaValidation.valid) {
+      return jsonError({
+        success: false,
+        error: 'SCHEMA_MISMATCH',
+        data,
+        message: `FAILED: The extracted data does not match expected_schema (${schemaValidation.errorCount} violation(s)). Fix the rules for the fields listed in schemaValidation.errors: point missing fields at elements that exist, and narrow selectors whose text has the wrong type or format. You MUST NOT return these rules as working.`,
+        url,
+        rules_attempted: extractRulesObj,
+        isEmpty: false,
+        schemaValidation,
+        ...fieldReport,
+        ...cache,
+        creditsCost,
+        totalCreditsCost,
+        queueWaitMs: totalQueueWait(attempts),
+        attempts,
+        ...(escalation && { escalation })
+      });
+    }
+
+    return jsonResult({
+      success: true,
+      data,
+      message: [
+        escalation
+          ? `Data extracted successfully with the ${escalation.tier} tier (${escalation.creditsSpent} credit(s) spent across ${escalation.tiers.length} tier(s))`
+          : 'Data extracted successfully',
+        schemaValidation ? ' and matches expected_schema' : '',
+        emptyFields.length > 0
+          ? `. PARTIAL: ${emptyFields.length} field(s) came back empty (${emptyFields.join(', ')}). Fix those rules before returning them as working; fields shows what each rule matched`
+          : ''
+      ].join(''),
+      url,
+      rules_applied: extractRulesObj,
+      isEmpty: false,
+      ...(emptyFields.length > 0 && { isPartial: true }),
+      ...fieldReport,
+      ...cache,
+      creditsCost,
+      totalCreditsCost,
+      queueWaitMs: totalQueueWait(attempts),
+      attempts,
+      ...(escalation && { escalation }),
+      ...(schemaValidation && { schemaValidation }),
+      ...(lintReport.warnings.length > 0 && { lintWarnings: lintReport.warnings })
+    });
+  } catch (error) {
+    return toolErrorResult(error, {
+      operation: 'testExtractRules',
+      message: 'ScrapingBee extraction failed',
+      context: { url },
+      fields: {
+        url,
+        rules_attempted: extractRulesObj,
+        ...(error.escalation && { escalation: error.escalation })
+      }
+    });
+  }
+}
@@ -0,0 +1,188 @@
+import { estimateCreditCost } from './credits.js';
+
+/**
+ * Credit usage tracking and budgets.
+ *
+ * Every ScrapingBee call is recorded per tool, per client session, per target
+ * domain and per UTC day. Budgets refuse calls that would go over the limit:
+ *
+ * SCRAPINGBEE_SESSION_BUDGET  credits one client session may spend
+ * SCRAPINGBEE_DAILY_BUDGET    credits the server may spend per UTC day
+ *
+ * Usage is kept in memory and starts from zero when the server restarts.
+ */
+
+const startedAt = new Date().toISOString();
+
+// Sessions tracked at once; the least recently active one is forgotten first
+const MAX_TRACKED_SESSIONS = 1000;
+
+const totals = { credits: 0, requests: 0, cacheHits: 0 };
+const byTool = new Map();
+const bySession = new Map();
+const byDomain = new Map();
+const byDay = new Map();
+
+// Estimated cost of requests in flight, so concurrent calls can't overshoot a budget together
+const pending = { sessions: new Map(), days: new Map() };
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+function add(map, key, credits, cached) {
+  const entry = map.get(key) || { credits: 0, requests: 0, cacheHits: 0 };
+  entry.credits += credits;
+  entry.requests++;
+  if (cached) entry.cacheHits++;
+  map.set(key, entry);
+}
+
+/**
+ * Add a call to its session, keeping bySession ordered by last activity and bounded
+ */
+function addToSession(sessionId, cost, cached) {
+  const entry = bySession.get(sessionId);
+  if (entry) {
+    bySession.delete(sessionId);
+    bySession.set(sessionId, entry);
+  }
+  add(bySession, sessionId, cost, cached);
+  if (bySession.size > MAX_TRACKED_SESSIONS) bySession.delete(bySession.keys().next().value);
+}
+
+/**
+ * Record one ScrapingBee call
+ * @param {object} call
+ * @param {string} [call.tool] - Tool that made the call
+ * @param {string} [call.sessionId] - Client session
+ * @param {string} call.url - Target URL
+ * @param {number|null} call.credits - Credits charged (spb-cost), null when unknown
+ * @param {boolean} [call.cached] - Served from the response cache
+ */
+export function recordUsage({ tool = 'unknown', sessionId = 'default', url, credits, cached = false }) {
+  const cost = credits || 0;
+  totals.credits += cost;
+  totals.requests++;
+  if (cached) totals.cacheHits++;
+
+  add(byTool, tool, cost, cached);
+  addToSession(sessionId, cost, cached);
+  add(byDomain, domainOf(url), cost, cached);
+  add(byDay, today(), cost, cached);
+}
+
+function readBudget(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return null;
+
+  const budget = Number(value);
+  if (!Number.isFinite(budget) || budget < 0) {
+    const error = new Error(`Invalid ${name} "${value}". Use a number of credits`);
+    error.errorCategory = 'CONFIGURATION';
+    throw error;
+  }
+  return budget;
+}
+
+function budgetStatus(limit, spent) {
+  return limit === null ? null : { limit, spent, remaining: Math.max(0, limit - spent) };
+}
+
+/**
+ * Current budgets for a session
+ * @param {string} [sessionId]
+ * @returns {{ session: object|null, daily: object|null }} limit/spent/remaining, or null when unlimited
+ */
+export function getBudgets(sessionId = 'default') {
+  return {
+    session: budgetStatus(readBudget('SCRAPINGBEE_SESSION_BUDGET'), bySession.get(sessionId)?.credits || 0),
+    daily: budgetStatus(readBudget('SCRAPINGBEE_DAILY_BUDGET'), byDay.get(today())?.credits || 0)
+  };
+}
+
+function adjustPending(map, key, delta) {
+  const value = (map.get(key) || 0) + delta;
+  if (value > 0) map.set(key, value);
+  else map.delete(key);
+}
+
+/**
+ * Reserve the estimated cost of a call, refusing it when that would take a
+ * budget past its limit
+ * @param {object} params - ScrapingBee query parameters of the call
+ * @param {string} [sessionId]
+ * @returns {Function} Releases the reservation once the call has been recorded
+ * @throws {Error} BUDGET_EXCEEDED error
+ */
+export function reserveBudget(params, sessionId = 'default') {
+  const estimatedCost = estimateCreditCost(params);
+  const day = today();
+  const budgets = getBudgets(sessionId);
+  const inFlight = {
+    session: pending.sessions.get(sessionId) || 0,
+    daily: pending.days.get(day) || 0
+  };
+
+  for (const [scope, budget] of Object.entries(budgets)) {
+    if (!budget || budget.spent + inFlight[scope] + estimatedCost <= budget.limit) continue;
+
+    const error = new Error(
+      `${scope === 'session' ? 'Session' : 'Daily'} credit budget reached: ${budget.spent} of ${budget.limit} credits spent, ` +
+      `this request would cost about ${estimatedCost}`
+    );
+    error.errorCategory = 'BUDGET_EXCEEDED';
+    error.budget = { scope, ...budget, estimatedCost };
+    error.suggestions = [
+      'Check spending with get_usage',
+      'Reuse cached results, or evaluate rules locally with evaluate_extract_rules (no credits)',
+      'Cheaper options: render_js=false (1 credit) instead of premium or stealth proxies',
+      scope === 'session'
+        ? 'Raise SCRAPINGBEE_SESSION_BUDGET or start a new session'
+        : 'Raise SCRAPINGBEE_DAILY_BUDGET or wait until the next UTC day'
+    ];
+    throw error;
+  }
+
+  adjustPending(pending.sessions, sessionId, estimatedCost);
+  adjustPending(pending.days, day, estimatedCost);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    adjustPending(pending.sessions, sessionId, -estimatedCost);
+    adjustPending(pending.days, day, -estimatedCost);
+  };
+}
+
+function toObject(map) {
+  return Object.fromEntries([...map].sort(([, a], [, b]) => b.credits - a.credits));
+}
+
+/**
+ * Usage recorded since the server started. Other sessions are only counted,
+ * since a session id is all that identifies a client over HTTP
+ * @param {string} [sessionId] - Session to report usage and budgets for
+ * @returns {object} Totals, the current session, the number of sessions, and breakdowns by tool, domain and day
+ */
+export function getUsageReport(sessionId = 'default') {
+  return {
+    since: startedAt,
+    totals: { ...totals },
+    today: { date: today(), ...(byDay.get(today()) || { credits: 0, requests: 0, cacheHits: 0 }) },
+    currentSession: { id: sessionId, ...(bySession.get(sessionId) || { credits: 0, requests: 0, cacheHits: 0 }) },
+    budgets: getBudgets(sessionId),
+    sessionCount: bySession.size,
+    byTool: toObject(byTool),
+    byDomain: toObject(byDomain),
+    byDay: Object.fromEntries(byDay)
+  };
+}
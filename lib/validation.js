@@ -0,0 +1,203 @@
+import { validateJsScenario } from './js-scenario.js';
+import { lintExtractRules } from './rules-lint.js';
+import { paramSchemas } from './scrapingbee-params.js';
+import { jsonError } from './tool-result.js';
+
+// Parameters ScrapingBee only accepts with the headless browser (render_js)
+export const BROWSER_ONLY_PARAMS = ['stealth_proxy', 'wait_browser', 'screenshot_full_page', 'screenshot_selector'];
+
+/**
+ * Build the validation error result shared by every tool
+ * @param {string} error - Short error name
+ * @param {string} message - Explanation for the model
+ * @param {object} [extra] - Extra fields to include
+ * @returns {object} MCP tool result with isError set
+ */
+export function validationError(error, message, extra = {}) {
+  return jsonError({
+    success: false,
+    error,
+    errorCategory: 'VALIDATION',
+    message,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Check that all required arguments are present
+ * @param {object} args - Tool arguments
+ * @param {string[]} required - Required argument names
+ * @returns {object|null} Validation error result, or null when valid
+ */
+export function validateRequired(args, required) {
+  const missing = required.filter(name => args[name] === undefined || args[name] === null || args[name] === '');
+  if (missing.length === 0) return null;
+
+  return validationError(
+    `Missing required parameter${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`,
+    `${required.join(' and ')} ${required.length > 1 ? 'are' : 'is'} required`,
+    { providedParams: Object.keys(args) }
+  );
+}
+
+/**
+ * Parse a JSON-encoded string argument
+ * @param {object} args - Tool arguments
+ * @param {string} name - Argument name, e.g. extract_rules
+ * @returns {{ value?: any, error?: object }} Parsed value or validation error result
+ */
+export function parseJsonArg(args, name) {
+  if (args[name] === undefined) return {};
+
+  try {
+    return { value: JSON.parse(args[name]) };
+  } catch (e) {
+    return {
+      error: validationError(
+        `Invalid ${name} JSON: ${e.message}`,
+        `The ${name} parameter must be a valid JSON string`
+      )
+    };
+  }
+}
+
+/**
+ * Check one argument against its parameter definition
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkParam(name, value, spec) {
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${name} must be true or false`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${name} must be an integer`;
+      if (spec.minimum !== undefined && value < spec.minimum) return `${name} must be at least ${spec.minimum}`;
+      if (spec.maximum !== undefined && value > spec.maximum) return `${name} must be at most ${spec.maximum}`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+      if (spec.additionalProperties?.type === 'string' && Object.values(value).some(v => typeof v !== 'string')) return `${name} values must be strings`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be an array`;
+      if (spec.minItems !== undefined && value.length < spec.minItems) return `${name} must have at least ${spec.minItems} item(s)`;
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) return `${name} must have at most ${spec.maxItems} items`;
+      if (spec.items?.type === 'string' && value.some(v => typeof v !== 'string' || v === '')) return `${name} must only contain non-empty strings`;
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${name} must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    return name === 'country_code'
+      ? 'Country code must be a 2-letter lowercase code (e.g., us, de, br)'
+      : `${name} does not match the expected format: ${spec.description}`;
+  }
+  return null;
+}
+
+/**
+ * Validate arguments against inputSchema property definitions
+ * @param {object} args - Tool arguments
+ * @param {object} properties - inputSchema properties (type, minimum, maximum, minItems, maxItems, additionalProperties, enum, pattern)
+ * @returns {object|null} Validation error result, or null when valid
+ */
+export function validateToolArgs(args, properties) {
+  for (const [name, spec] of Object.entries(properties)) {
+    if (args[name] === undefined) continue;
+    const message = checkParam(name, args[name], spec);
+    if (message) return validationError(`Invalid ${name}`, message);
+  }
+  return null;
+}
+
+/**
+ * Validate ScrapingBee parameters against the shared parameter definitions,
+ * plus the combinations ScrapingBee rejects
+ * @param {object} args - Tool arguments
+ * @param {string[]} names - Parameters the tool accepts
+ * @returns {object|null} Validation error result, or null when valid
+ */
+export function validateScrapingBeeParams(args, names) {
+  const invalid = validateToolArgs(args, paramSchemas(names));
+  if (invalid) return invalid;
+
+  if (args.render_js === false) {
+    const browserOnly = BROWSER_ONLY_PARAMS
+      .filter(name => args[name] !== undefined && args[name] !== false);
+    if (browserOnly.length > 0) {
+      return validationError(
+        'Parameters require render_js',
+        `${browserOnly.join(', ')} require the headless browser. Remove render_js=false or drop these parameters.`
+      );
+    }
+  }
+
+  if (args.own_proxy && (args.premium_proxy || args.stealth_proxy)) {
+    return validationError(
+      'Conflicting proxy parameters',
+      'own_proxy cannot be combined with premium_proxy or stealth_proxy. Pick one proxy option.'
+    );
+  }
+
+  if (args.premium_proxy && args.stealth_proxy) {
+    return validationError(
+      'Conflicting proxy parameters',
+      'Use either premium_proxy or stealth_proxy, not both. stealth_proxy is the stronger (and more expensive) option.'
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Lint parsed extract_rules so invalid rules never reach ScrapingBee
+ * @param {object} rules - Parsed extract_rules
+ * @returns {{ report: object, error?: object }} Lint report, plus a validation error result when invalid
+ */
+export function validateExtractRules(rules) {
+  const report = lintExtractRules(rules);
+  if (report.valid) return { report };
+
+  return {
+    report,
+    error: validationError(
+      'Invalid extract_rules',
+      `extract_rules failed validation with ${report.errors.length} error(s). Fix them before calling ScrapingBee - no credits were spent.`,
+      { lintErrors: report.errors, lintWarnings: report.warnings }
+    )
+  };
+}
+
+/**
+ * Parse and schema-check the js_scenario argument
+ * @param {object} args - Tool arguments
+ * @returns {object|null} Validation error result, or null when absent or valid
+ */
+export function validateJsScenarioArg(args) {
+  const { value: scenario, error } = parseJsonArg(args, 'js_scenario');
+  if (error) return error;
+  if (scenario === undefined) return null;
+
+  if (args.render_js === false) {
+    return validationError(
+      'js_scenario requires render_js',
+      'js_scenario runs in the headless browser, so it cannot be combined with render_js=false. Remove render_js or set it to true.'
+    );
+  }
+
+  const report = validateJsScenario(scenario);
+  if (report.valid) return null;
+
+  return validationError(
+    'Invalid js_scenario',
+    `js_scenario has ${report.errors.length} error(s). Fix them or build the scenario with build_js_scenario - no credits were spent.`,
+    { instructionErrors: report.errors, warnings: report.warnings }
+  );
+}
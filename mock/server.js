@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { estimateCreditCost, isEnabled } from '../lib/credits.js';
+import { applyExtractRules } from '../lib/extract-rules.js';
+
+/**
+ * Local stand-in for the ScrapingBee HTML API.
+ *
+ * Serves fixture HTML from mock/fixtures instead of fetching the target URL:
+ *   https://any.host/            -> fixtures/index.html
+ *   https://any.host/products    -> fixtures/products.html
+ *   https://any.host/status/429  -> simulated ScrapingBee error (401, 402, 429, 500, ...)
+ *   https://any.host/flaky/503/products -> a 503 the first time, then fixtures/products.html
+ *   https://any.host/protected/products -> a 403 unless premium_proxy or stealth_proxy is set
+ *   https://any.host/js-only/products   -> an empty app shell unless JavaScript is rendered
+ *
+ * The wait parameter delays the response by that many milliseconds. Browser-only
+ * parameters (js_scenario, screenshot, stealth_proxy, ...) with render_js=false
+ * get a 400, as ScrapingBee refuses them.
+ * GET /api/v1/usage reports the credits charged by the mock since it started.
+ *
+ * Point the MCP servers at it with SCRAPINGBEE_API_URL=http://localhost:8787/api/v1/
+ * Set MOCK_API_KEY to make the mock reject any other api_key with a 401.
+ * MOCK_PORT=0 picks a free port, printed on startup.
+ */
+
+const PORT = process.env.MOCK_PORT || 8787;
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Plan limits reported by the usage endpoint
+const MOCK_PLAN = { max_api_credit: 1000, max_concurrency: 5 };
+
+let usedCredits = 0;
+
+// What a JavaScript-rendered page looks like before its scripts run
+const APP_SHELL = '<!DOCTYPE html><html><head><title>Loading</title></head><body><div id="app"></div></body></html>';
+
+// Parameters that need the headless browser
+const BROWSER_ONLY_PARAMS = ['js_scenario', 'wait_browser', 'stealth_proxy', 'screenshot', 'screenshot_full_page', 'screenshot_selector'];
+
+// Target URLs of /flaky/ requests that already failed once
+const flakyFailures = new Set();
+
+// Error bodies modelled on the responses ScrapingBee sends for each status
+const SIMULATED_ERRORS = {
+  400: { message: 'Bad request: the url parameter is not valid' },
+  401: { message: 'Invalid api key: please check your api key on your dashboard' },
+  402: { message: 'Monthly API calls limit reached: upgrade your plan' },
+  403: { message: 'Forbidden: the target site refused the request' },
+  404: { message: 'Not found: the target page does not exist' },
+  429: { message: 'Too many concurrent requests: your plan allows fewer concurrent calls' },
+  500: { error: 'Internal server error: the request could not be completed' },
+  502: { error: 'Bad gateway' },
+  503: { error: 'Service unavailable' },
+  504: { error: 'Gateway timeout: the target site took too long to respond' }
+};
+
+/**
+ * Resolve the fixture file for a target URL
+ * @param {URL} targetUrl - The url parameter sent to the API
+ * @returns {string|null} Absolute fixture path, or null when none matches
+ */
+function resolveFixture(targetUrl) {
+  const name = targetUrl.pathname.replace(/^\/+|\/+$/g, '').replace(/\//g, '-') || 'index';
+  const fixturePath = path.join(FIXTURES_DIR, `${name}.html`);
+  return fs.existsSync(fixturePath) ? fixturePath : null;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, statusCode, targetUrl) {
+  const headers = {};
+  if (targetUrl) headers['spb-initial-status-code'] = String(statusCode);
+  if (statusCode === 429) headers['Retry-After'] = '1';
+  sendJson(res, statusCode, SIMULATED_ERRORS[statusCode] || { error: `Simulated HTTP ${statusCode}` }, headers);
+}
+
+function isAuthorized(query) {
+  const apiKey = query.get('api_key');
+  return Boolean(apiKey) && (!process.env.MOCK_API_KEY || apiKey === process.env.MOCK_API_KEY);
+}
+
+/**
+ * Handle GET /api/v1/usage like ScrapingBee's account usage endpoint
+ */
+function handleUsageRequest(query, res) {
+  if (!isAuthorized(query)) {
+    sendError(res, 401);
+    return;
+  }
+
+  const renewal = new Date();
+  renewal.setUTCMonth(renewal.getUTCMonth() + 1, 1);
+  sendJson(res, 200, {
+    ...MOCK_PLAN,
+    used_api_credit: usedCredits,
+    current_concurrency: 0,
+    renewal_subscription_date: renewal.toISOString()
+  });
+}
+
+/**
+ * Handle GET /api/v1/ exactly like ScrapingBee would, using fixtures
+ */
+function handleApiRequest(query, res) {
+  if (!isAuthorized(query)) {
+    sendError(res, 401);
+    return;
+  }
+
+  let targetUrl;
+  try {
+    targetUrl = new URL(query.get('url'));
+  } catch (e) {
+    sendError(res, 400);
+    return;
+  }
+
+  const browserOnly = BROWSER_ONLY_PARAMS.filter(name => query.has(name) && query.get(name) !== 'false');
+  if (browserOnly.length > 0 && !isEnabled(query.get('render_js'), true)) {
+    sendJson(res, 400, { message: `${browserOnly.join(', ')} cannot be used with render_js=false` });
+    return;
+  }
+
+  const simulated = targetUrl.pathname.match(/^\/status\/(\d{3})\/?$/);
+  if (simulated) {
+    sendError(res, Number(simulated[1]), targetUrl);
+    return;
+  }
+
+  const flaky = targetUrl.pathname.match(/^\/flaky\/(\d{3})(\/.*)?$/);
+  if (flaky) {
+    if (!flakyFailures.has(targetUrl.href)) {
+      flakyFailures.add(targetUrl.href);
+      sendError(res, Number(flaky[1]), targetUrl);
+      return;
+    }
+    targetUrl = new URL(flaky[2] || '/', targetUrl);
+  }
+
+  // Bot protection, stripped from the path once the request gets past it
+  const protectedPath = targetUrl.pathname.match(/^\/protected(\/.*)?$/);
+  if (protectedPath) {
+    if (!isEnabled(query.get('premium_proxy')) && !isEnabled(query.get('stealth_proxy'))) {
+      sendError(res, 403, targetUrl);
+      return;
+    }
+    targetUrl = new URL(protectedPath[1] || '/', targetUrl);
+  }
+
+  const jsOnly = targetUrl.pathname.match(/^\/js-only(\/.*)?$/);
+  if (jsOnly) targetUrl = new URL(jsOnly[1] || '/', targetUrl);
+
+  const fixturePath = resolveFixture(targetUrl);
+  if (!fixturePath) {
+    sendError(res, 404, targetUrl);
+    return;
+  }
+
+  const cost = estimateCreditCost(Object.fromEntries(query));
+  usedCredits += cost;
+
+  const headers = {
+    'spb-cost': String(cost),
+    'spb-initial-status-code': '200',
+    'spb-resolved-url': targetUrl.toString()
+  };
+
+  if (isEnabled(query.get('screenshot'))) {
+    res.writeHead(200, { 'Content-Type': 'image/png', ...headers });
+    res.end(fs.readFileSync(path.join(FIXTURES_DIR, 'screenshot.png')));
+    return;
+  }
+
+  const html = jsOnly && !isEnabled(query.get('render_js'), true)
+    ? APP_SHELL
+    : fs.readFileSync(fixturePath, 'utf8');
+
+  if (query.has('extract_rules')) {
+    let rules;
+    try {
+      rules = JSON.parse(query.get('extract_rules'));
+    } catch (e) {
+      sendJson(res, 400, { error: `extract_rules is not valid JSON: ${e.message}` });
+      return;
+    }
+
+    try {
+      sendJson(res, 200, applyExtractRules(html, rules), headers);
+    } catch (e) {
+      sendJson(res, 400, { error: e.message });
+    }
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(html);
+}
+
+const server = http.createServer((req, res) => {
+  const requestUrl = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`[Mock] ${req.method} ${requestUrl.pathname} url=${requestUrl.searchParams.get('url') || '-'}`);
+
+  if (req.method === 'GET' && requestUrl.pathname.replace(/\/+$/, '') === '/api/v1') {
+    // Honour the wait parameter so slow requests and concurrency limits can be reproduced
+    const wait = Math.min(Number(requestUrl.searchParams.get('wait')) || 0, 35000);
+    setTimeout(() => handleApiRequest(requestUrl.searchParams, res), wait);
+    return;
+  }
+
+  if (req.method === 'GET' && requestUrl.pathname.replace(/\/+$/, '') === '/api/v1/usage') {
+    handleUsageRequest(requestUrl.searchParams, res);
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`ScrapingBee mock backend listening on http://localhost:${server.address().port}/api/v1/`);
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { callTool } from '../lib/tools/index.js';
+import { startMockBackend } from './helpers/mock-backend.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapingbee-drift-'));
+let mock;
+
+before(async () => {
+  process.env.SCRAPINGBEE_RULES_PATH = path.join(tmpDir, 'library.json');
+  process.env.SCRAPINGBEE_API_KEY = 'test';
+  process.env.SCRAPINGBEE_MAX_RETRIES = '0';
+  mock = await startMockBackend();
+
+  await callTool('save_rules', {
+    name: 'listing',
+    domain: 'shop.test',
+    extract_rules: JSON.stringify({ title: 'h1', prices: { selector: '.price', type: 'list' } }),
+    params: { render_js: false }
+  });
+});
+
+after(async () => {
+  await mock.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function call(name, args) {
+  return JSON.parse((await callTool(name, args)).content[0].text);
+}
+
+test('a rule set checked against its own baseline is healthy', async () => {
+  const run = await call('run_saved_rules', { name: 'listing', url: 'https://shop.test/products', save_baseline: true });
+  assert.equal(run.baseline.saved, true);
+
+  const check = await call('check_rules_drift', {});
+
+  assert.equal(check.verdict, 'healthy');
+  assert.equal(check.checked, 1);
+  assert.equal(check.summary.creditsSpent, 1);
+});
+
+test('a failed run is not stored as a baseline', async () => {
+  const run = await call('run_saved_rules', { name: 'listing', url: 'https://shop.test/flaky/500/products', save_baseline: true });
+  assert.equal(run.baseline, undefined);
+  assert.ok(run.warnings.some(warning => warning.startsWith('Not saved as baseline')));
+});
+
+test('a dry run adds up the estimates without calling ScrapingBee', async () => {
+  const check = await call('check_rules_drift', { dry_run: true });
+
+  assert.equal(check.dryRun, true);
+  assert.equal(check.requestCount, 1);
+  assert.equal(check.estimatedCredits, 1);
+});
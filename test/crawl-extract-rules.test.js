@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { callTool } from '../lib/tools/index.js';
+import { startMockBackend } from './helpers/mock-backend.js';
+
+let mock;
+
+before(async () => {
+  process.env.SCRAPINGBEE_API_KEY = 'test';
+  process.env.SCRAPINGBEE_MAX_RETRIES = '0';
+  // Every page is fetched and charged, so the credit stops do not depend on test order
+  process.env.SCRAPINGBEE_CACHE = 'off';
+  mock = await startMockBackend();
+});
+
+after(() => mock.stop());
+
+async function crawl(args) {
+  const result = await callTool('crawl_extract_rules', { render_js: false, ...args });
+  return JSON.parse(result.content[0].text);
+}
+
+test('identical items on one page are kept, items seen on an earlier page are dropped', async () => {
+  // Every card has the same class, so all items of both pages are identical
+  const payload = await crawl({
+    url: 'https://shop.test/products',
+    next_page_selector: 'a.next',
+    extract_rules: JSON.stringify({ cards: { selector: '.product-card', type: 'list', output: '@class' } })
+  });
+
+  assert.deepEqual(payload.data.cards, ['product-card', 'product-card', 'product-card']);
+  assert.deepEqual(payload.pages.map(page => [page.itemCount, page.newItems]), [[3, 3], [2, 0]]);
+  assert.equal(payload.duplicatesSkipped, 2);
+  assert.equal(payload.stopReason, 'repeated_results');
+});
+
+const prices = JSON.stringify({ prices: { selector: '.price', type: 'list' } });
+
+test('the crawl follows next links until there are none', async () => {
+  const payload = await crawl({ url: 'https://shop.test/products', next_page_selector: 'a.next', extract_rules: prices });
+
+  assert.equal(payload.stopReason, 'no_next_page');
+  assert.equal(payload.data.prices.length, 5);
+  assert.equal(payload.creditsSpent, 2);
+});
+
+test('the crawl stops at max_pages', async () => {
+  const payload = await crawl({ url: 'https://shop.test/products', next_page_selector: 'a.next', max_pages: 1, extract_rules: prices });
+
+  assert.equal(payload.stopReason, 'max_pages');
+  assert.equal(payload.pages.length, 1);
+});
+
+test('the crawl stops before a page would pass max_credits', async () => {
+  const payload = await crawl({ url: 'https://shop.test/products', next_page_selector: 'a.next', max_credits: 1, extract_rules: prices });
+
+  assert.equal(payload.stopReason, 'max_credits');
+  assert.equal(payload.pages.length, 1);
+  assert.equal(payload.creditsSpent, 1);
+});
+
+test('a next link back to a crawled page stops the crawl', async () => {
+  const payload = await crawl({ url: 'https://shop.test/products', next_page_selector: 'a[href="/products"]', extract_rules: prices });
+
+  assert.equal(payload.stopReason, 'repeated_url');
+  assert.equal(payload.pages.length, 1);
+});
+
+test('a page without items stops the crawl', async () => {
+  const payload = await crawl({ url: 'https://shop.test/', next_page_selector: 'a.next', extract_rules: prices });
+
+  assert.equal(payload.stopReason, 'empty_page');
+});
+
+test('a failed later page stops the crawl and keeps the earlier pages', async () => {
+  const payload = await crawl({ url_template: 'https://shop.test/products/page/{page}', start_page: 2, max_pages: 3, extract_rules: prices });
+
+  assert.equal(payload.stopReason, 'error');
+  assert.equal(payload.data.prices.length, 2);
+  assert.match(payload.pages[1].error, /404/);
+});
+
+test('a failed first page is an error result', async () => {
+  const result = await callTool('crawl_extract_rules', {
+    render_js: false,
+    url: 'https://shop.test/status/500',
+    next_page_selector: 'a.next',
+    extract_rules: prices
+  });
+
+  assert.equal(result.isError, true);
+  assert.equal(JSON.parse(result.content[0].text).errorCategory, 'API_ERROR');
+});
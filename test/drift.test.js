@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compareToBaseline, worstVerdict } from '../lib/drift.js';
+
+const rules = {
+  title: 'h1',
+  price: '.price',
+  products: { selector: '.product', type: 'list', output: { name: 'h2', price: '.price' } }
+};
+
+const baseline = {
+  title: 'Shop',
+  price: '12.50',
+  products: [
+    { name: 'A', price: '1' },
+    { name: 'B', price: '2' },
+    { name: 'C', price: '3' },
+    { name: 'D', price: '4' }
+  ]
+};
+
+function field(result, name) {
+  return result.fields.find(entry => entry.field === name);
+}
+
+test('changed values are healthy', () => {
+  const result = compareToBaseline(baseline, {
+    title: 'Shop',
+    price: '13.00',
+    products: [{ name: 'E', price: '5' }, { name: 'F', price: '6' }, { name: 'G', price: '7' }, { name: 'H', price: '8' }]
+  }, rules);
+
+  assert.equal(result.verdict, 'healthy');
+  assert.equal(field(result, 'price').valueChangeRatio, 1);
+  assert.equal(field(result, 'products').valueChangeRatio, 1);
+  assert.deepEqual(result.summary, { healthy: 3, degraded: 0, broken: 0 });
+});
+
+test('a list dropping below half of its baseline count is degraded', () => {
+  const result = compareToBaseline(baseline, { ...baseline, products: baseline.products.slice(0, 1) }, rules);
+
+  assert.equal(result.verdict, 'degraded');
+  assert.equal(field(result, 'products').verdict, 'degraded');
+  assert.equal(field(result, 'products').countRatio, 0.25);
+});
+
+test('an output key empty in every item is degraded', () => {
+  const products = baseline.products.map(product => ({ ...product, price: null }));
+  const result = compareToBaseline(baseline, { ...baseline, products }, rules);
+
+  assert.equal(result.verdict, 'degraded');
+  assert.deepEqual(field(result, 'products').emptyOutputFields, ['price']);
+});
+
+test('one empty field of three degrades the result, half of them breaks it', () => {
+  const oneBroken = compareToBaseline(baseline, { ...baseline, title: null }, rules);
+  assert.equal(field(oneBroken, 'title').verdict, 'broken');
+  assert.equal(oneBroken.verdict, 'degraded');
+
+  const twoBroken = compareToBaseline(baseline, { ...baseline, title: null, products: [] }, rules);
+  assert.equal(twoBroken.verdict, 'broken');
+});
+
+test('a changed type is broken', () => {
+  const result = compareToBaseline(baseline, { ...baseline, products: 'A B C D' }, rules);
+
+  assert.equal(field(result, 'products').verdict, 'broken');
+  assert.deepEqual(field(result, 'products').issues, ['was list and is now string']);
+});
+
+test('a field empty in the baseline is not held against the result', () => {
+  const result = compareToBaseline({ ...baseline, price: null }, { ...baseline, price: null }, rules);
+
+  assert.equal(result.verdict, 'healthy');
+});
+
+test('worstVerdict picks the most severe verdict', () => {
+  assert.equal(worstVerdict([]), 'healthy');
+  assert.equal(worstVerdict(['healthy', 'degraded', 'healthy']), 'degraded');
+  assert.equal(worstVerdict(['degraded', 'broken', 'healthy']), 'broken');
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { planEscalation, validateEscalationArgs } from '../lib/escalation.js';
+import { callTool } from '../lib/tools/index.js';
+import { startMockBackend } from './helpers/mock-backend.js';
+
+let mock;
+
+before(async () => {
+  process.env.SCRAPINGBEE_API_KEY = 'test';
+  process.env.SCRAPINGBEE_MAX_RETRIES = '0';
+  mock = await startMockBackend();
+});
+
+after(() => mock.stop());
+
+function tiers(args) {
+  return planEscalation(args).map(({ tier }) => tier);
+}
+
+test('the ladder runs from basic to stealth by default', () => {
+  assert.deepEqual(tiers({ auto_escalate: true }), ['basic', 'render_js', 'premium', 'stealth']);
+});
+
+test('escalation_ceiling caps the ladder', () => {
+  assert.deepEqual(tiers({ auto_escalate: true, escalation_ceiling: 'premium' }), ['basic', 'render_js', 'premium']);
+  assert.deepEqual(tiers({ auto_escalate: true, escalation_ceiling: 'basic' }), ['basic']);
+});
+
+test('browser-only parameters start the ladder at render_js', () => {
+  assert.deepEqual(tiers({ auto_escalate: true, wait_for: '.price' }), ['render_js', 'premium', 'stealth']);
+  assert.deepEqual(tiers({ auto_escalate: true, wait: 500, escalation_ceiling: 'basic' }), []);
+});
+
+test('conflicting and impossible escalation arguments are rejected', () => {
+  assert.equal(validateEscalationArgs({ auto_escalate: true }), null);
+
+  for (const args of [
+    { escalation_ceiling: 'premium' },
+    { auto_escalate: true, render_js: true },
+    { auto_escalate: true, wait_for: '.price', escalation_ceiling: 'basic' }
+  ]) {
+    const result = validateEscalationArgs(args);
+    assert.equal(JSON.parse(result.content[0].text).errorCategory, 'VALIDATION');
+  }
+});
+
+async function extract(url, args = {}) {
+  const result = await callTool('test_extract_rules', {
+    url,
+    extract_rules: JSON.stringify({ prices: { selector: '.price', type: 'list' } }),
+    auto_escalate: true,
+    ...args
+  });
+  return JSON.parse(result.content[0].text);
+}
+
+test('an empty extraction moves up to render_js', async () => {
+  const payload = await extract('https://shop.test/js-only/products');
+
+  assert.equal(payload.success, true);
+  assert.deepEqual(payload.escalation.tiers.map(({ tier, outcome }) => [tier, outcome]), [['basic', 'empty'], ['render_js', 'success']]);
+  assert.equal(payload.escalation.tier, 'render_js');
+});
+
+test('a blocked request moves up to a premium proxy', async () => {
+  const payload = await extract('https://shop.test/protected/products');
+
+  assert.equal(payload.success, true);
+  assert.equal(payload.escalation.tier, 'premium');
+  assert.deepEqual(payload.escalation.tiers.map(({ outcome }) => outcome), ['blocked', 'blocked', 'success']);
+});
+
+test('the ceiling stops the escalation', async () => {
+  const payload = await extract('https://shop.test/protected/products', { escalation_ceiling: 'render_js' });
+
+  assert.equal(payload.success, false);
+  assert.equal(payload.escalation.tier, null);
+  assert.equal(payload.escalation.tiers.length, 2);
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { describeFields, diagnoseEmptyFields } from '../lib/field-diagnostics.js';
+import { SHARED_PARAMS } from '../lib/scrapingbee-params.js';
+import { callTool } from '../lib/tools/index.js';
+import { startMockBackend } from './helpers/mock-backend.js';
+
+let mock;
+
+before(async () => {
+  process.env.SCRAPINGBEE_API_KEY = 'test';
+  process.env.SCRAPINGBEE_MAX_RETRIES = '0';
+  mock = await startMockBackend();
+});
+
+after(() => mock.stop());
+
+test('describeFields reports matched, empty and missing fields and empty list outputs', () => {
+  const rules = {
+    title: 'h1',
+    price: '.price',
+    rating: '.rating',
+    items: { selector: '.card', type: 'list', output: { name: 'h2', sku: '.sku' } }
+  };
+  const fields = describeFields({ title: 'Shop', price: '', items: [{ name: 'A', sku: '' }, { name: 'B', sku: null }] }, rules);
+
+  assert.deepEqual(fields.map(({ field, status }) => [field, status]), [
+    ['title', 'matched'],
+    ['price', 'empty'],
+    ['rating', 'missing'],
+    ['items', 'matched']
+  ]);
+  assert.equal(fields[3].itemCount, 2);
+  assert.deepEqual(fields[3].emptyOutputFields, ['sku']);
+});
+
+test('the raw HTML is fetched without browser-only parameters', async () => {
+  const rules = { title: 'h1', missing: '.does-not-exist' };
+  const args = {
+    url: 'https://shop.test/products',
+    js_scenario: JSON.stringify({ instructions: [{ wait: 100 }] }),
+    wait: 100,
+    wait_for: 'h1',
+    wait_browser: 'load'
+  };
+
+  const result = await diagnoseEmptyFields({
+    args,
+    names: SHARED_PARAMS,
+    rules,
+    fields: describeFields({ title: 'Products', missing: null }, rules),
+    fetch: true
+  });
+
+  assert.equal(result.notes, undefined);
+  assert.equal(result.html.raw.source, 'fetched');
+  assert.equal(result.html.rendered.source, 'fetched');
+  const missing = result.fields.find(entry => entry.field === 'missing');
+  assert.equal(missing.rawHtmlMatches, 0);
+  assert.equal(missing.renderedHtmlMatches, 0);
+});
+
+// Another page than above, so the diagnostics cannot reuse the stored HTML
+test('test_extract_rules counts the diagnostic fetches in totalCreditsCost', async () => {
+  const result = await callTool('test_extract_rules', {
+    url: 'https://shop.test/products/page/2',
+    extract_rules: JSON.stringify({ title: 'h1', missing: '.does-not-exist' }),
+    render_js: false,
+    diagnose_html: true
+  });
+  const payload = JSON.parse(result.content[0].text);
+
+  assert.equal(payload.creditsCost, 1);
+  assert.ok(payload.diagnostics.creditsCost > 0);
+  assert.equal(payload.totalCreditsCost, payload.creditsCost + payload.diagnostics.creditsCost);
+});
@@ -0,0 +1,39 @@
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MOCK_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'mock', 'server.js');
+
+/**
+ * Start the mock ScrapingBee backend on a free port and point the client at it
+ * @returns {Promise<{ apiUrl: string, stop: Function }>} API base URL, and a function that stops the mock
+ */
+export function startMockBackend() {
+  const child = spawn(process.execPath, [MOCK_SERVER], {
+    env: { ...process.env, MOCK_PORT: '0' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Mock backend exited with code ${code}`)));
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/listening on (\S+)/);
+      if (!match) return;
+
+      child.stdout.removeAllListeners('data');
+      child.stdout.resume();
+      child.removeAllListeners('exit');
+      process.env.SCRAPINGBEE_API_URL = match[1];
+      resolve({
+        apiUrl: match[1],
+        stop: () => new Promise(done => {
+          child.once('exit', done);
+          child.kill();
+        })
+      });
+    });
+  });
+}
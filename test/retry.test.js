@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { getAttemptHistory, getRetryPolicy, isRetryable, parseRetryAfter, withRetries } from '../lib/retry.js';
+
+function apiError(statusCode, creditsCost = null) {
+  const error = new Error(`ScrapingBee returned ${statusCode}`);
+  error.errorCategory = 'API_ERROR';
+  error.scrapingBeeError = { statusCode };
+  error.creditsCost = creditsCost;
+  return error;
+}
+
+// Attempts that fail with the given errors in turn, then succeed
+function attempts(...errors) {
+  let calls = 0;
+  const attempt = async () => {
+    const error = errors[calls++];
+    if (error) throw error;
+    return new Response('ok', { status: 200 });
+  };
+  return { attempt, calls: () => calls };
+}
+
+const options = { estimatedCost: 5, creditsCost: result => result.creditsCost ?? (result instanceof Response ? 5 : null) };
+
+beforeEach(() => {
+  process.env.SCRAPINGBEE_RETRY_BASE_DELAY = '1';
+  delete process.env.SCRAPINGBEE_MAX_RETRIES;
+  delete process.env.SCRAPINGBEE_RETRY_MAX_TIME;
+  delete process.env.SCRAPINGBEE_RETRY_MAX_CREDITS;
+});
+
+test('429, 5xx and network errors are retryable, other statuses are not', () => {
+  for (const statusCode of [429, 500, 502, 503, 504]) assert.equal(isRetryable(apiError(statusCode)), true);
+  for (const statusCode of [400, 401, 402, 403, 404]) assert.equal(isRetryable(apiError(statusCode)), false);
+
+  const network = Object.assign(new Error('ECONNRESET'), { errorCategory: 'NETWORK' });
+  const budget = Object.assign(new Error('budget'), { errorCategory: 'BUDGET_EXCEEDED' });
+  assert.equal(isRetryable(network), true);
+  assert.equal(isRetryable(budget), false);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(''), null);
+  assert.equal(parseRetryAfter('soon'), null);
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  assert.ok(parseRetryAfter(inTenSeconds) > 8000);
+});
+
+test('an invalid setting is a configuration error', () => {
+  process.env.SCRAPINGBEE_MAX_RETRIES = '-1';
+  assert.throws(() => getRetryPolicy(), { errorCategory: 'CONFIGURATION' });
+});
+
+test('transient failures are retried and recorded in the attempt history', async () => {
+  const { attempt, calls } = attempts(apiError(503), apiError(429));
+
+  const response = await withRetries(attempt, options);
+
+  assert.equal(calls(), 3);
+  const history = getAttemptHistory(response);
+  assert.deepEqual(history.map(entry => entry.statusCode), [503, 429, 200]);
+  assert.ok(history[0].retryInMs >= 1);
+});
+
+test('a non-retryable error fails at once', async () => {
+  const { attempt, calls } = attempts(apiError(401));
+
+  await assert.rejects(withRetries(attempt, options), error => {
+    assert.equal(error.attempts.length, 1);
+    assert.equal(error.attempts[0].gaveUp, undefined);
+    return true;
+  });
+  assert.equal(calls(), 1);
+});
+
+test('retries stop at SCRAPINGBEE_MAX_RETRIES', async () => {
+  process.env.SCRAPINGBEE_MAX_RETRIES = '1';
+  const { attempt, calls } = attempts(apiError(500), apiError(500), apiError(500));
+
+  await assert.rejects(withRetries(attempt, options), error => {
+    assert.match(error.attempts.at(-1).gaveUp, /no retries left/);
+    return true;
+  });
+  assert.equal(calls(), 2);
+});
+
+test('retries stop before the credit cap would be passed', async () => {
+  process.env.SCRAPINGBEE_RETRY_MAX_CREDITS = '8';
+  // The failed attempt was charged 5 credits, another one would cost 5 more
+  const { attempt, calls } = attempts(apiError(500, 5), apiError(500));
+
+  await assert.rejects(withRetries(attempt, options), error => {
+    assert.match(error.attempts.at(-1).gaveUp, /8 credit retry limit/);
+    return true;
+  });
+  assert.equal(calls(), 1);
+});
+
+test('retries stop when the wait would pass the time limit', async () => {
+  process.env.SCRAPINGBEE_RETRY_MAX_TIME = '1';
+  const error = apiError(429);
+  error.retryAfterMs = 5000;
+  const { attempt, calls } = attempts(error);
+
+  await assert.rejects(withRetries(attempt, options), thrown => {
+    assert.match(thrown.attempts.at(-1).gaveUp, /retry time limit/);
+    return true;
+  });
+  assert.equal(calls(), 1);
+});
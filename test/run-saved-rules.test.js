@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { getRuleSet } from '../lib/rule-library.js';
+import { callTool } from '../lib/tools/index.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapingbee-rules-'));
+
+before(async () => {
+  process.env.SCRAPINGBEE_RULES_PATH = path.join(tmpDir, 'library.json');
+  process.env.SCRAPINGBEE_API_KEY = 'test';
+  const saved = await callTool('save_rules', {
+    name: 'product-page',
+    domain: 'example.com',
+    extract_rules: JSON.stringify({ title: 'h1' })
+  });
+  assert.equal(saved.isError, undefined);
+});
+
+after(() => {
+  delete process.env.SCRAPINGBEE_SESSION_BUDGET;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function parse(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+test('a budget refusal is not recorded as a test of the rule set', async () => {
+  process.env.SCRAPINGBEE_SESSION_BUDGET = '1';
+
+  // render_js is on by default, so the request is estimated at 5 credits
+  const payload = parse(await callTool('run_saved_rules', { name: 'product-page', url: 'https://example.com/p/1' }));
+
+  assert.equal(payload.success, false);
+  assert.equal(payload.errorCategory, 'BUDGET_EXCEEDED');
+  assert.equal(getRuleSet('product-page', { domain: 'example.com' }).entry.lastTest, null);
+});
+
+test('a dry run is not recorded as a test of the rule set', async () => {
+  delete process.env.SCRAPINGBEE_SESSION_BUDGET;
+
+  const payload = parse(await callTool('run_saved_rules', { name: 'product-page', url: 'https://example.com/p/1', dry_run: true }));
+
+  assert.equal(payload.dryRun, true);
+  assert.equal(getRuleSet('product-page', { domain: 'example.com' }).entry.lastTest, null);
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { getBudgets, getUsageReport, recordUsage, reserveBudget } from '../lib/usage.js';
+
+afterEach(() => {
+  delete process.env.SCRAPINGBEE_SESSION_BUDGET;
+  delete process.env.SCRAPINGBEE_DAILY_BUDGET;
+});
+
+test('the usage report lists only the current session', () => {
+  recordUsage({ tool: 'test_extract_rules', sessionId: 'alice', url: 'https://example.com/a', credits: 5 });
+  recordUsage({ tool: 'test_extract_rules', sessionId: 'bob', url: 'https://example.com/b', credits: 1 });
+
+  const report = getUsageReport('alice');
+
+  assert.equal(report.currentSession.id, 'alice');
+  assert.equal(report.currentSession.credits, 5);
+  assert.equal(report.sessionCount, 2);
+  assert.equal(JSON.stringify(report).includes('bob'), false);
+});
+
+test('the least recently active sessions are forgotten past the limit', () => {
+  recordUsage({ sessionId: 'active', url: 'https://example.com/', credits: 3 });
+  for (let index = 0; index < 1000; index++) {
+    recordUsage({ sessionId: `session-${index}`, url: 'https://example.com/', credits: 0 });
+    // Keeps "active" the most recently used session
+    if (index % 100 === 0) recordUsage({ sessionId: 'active', url: 'https://example.com/', credits: 0 });
+  }
+
+  const report = getUsageReport('active');
+  assert.equal(report.sessionCount, 1000);
+  assert.equal(report.currentSession.credits, 3);
+  assert.equal(getUsageReport('alice').currentSession.credits, 0);
+});
+
+test('reservations in flight count toward the session budget', () => {
+  process.env.SCRAPINGBEE_SESSION_BUDGET = '10';
+
+  // render_js is on by default: 5 credits per request
+  const first = reserveBudget({ url: 'https://example.com/1' }, 'budgeted');
+  const second = reserveBudget({ url: 'https://example.com/2' }, 'budgeted');
+  assert.throws(() => reserveBudget({ url: 'https://example.com/3' }, 'budgeted'), error => {
+    assert.equal(error.errorCategory, 'BUDGET_EXCEEDED');
+    assert.deepEqual(error.budget, { scope: 'session', limit: 10, spent: 0, remaining: 10, estimatedCost: 5 });
+    return true;
+  });
+
+  // Releasing twice frees the reservation once; a cheaper request then fits
+  first();
+  first();
+  const third = reserveBudget({ url: 'https://example.com/3', render_js: 'false' }, 'budgeted');
+  second();
+  third();
+});
+
+test('spent credits count toward the session budget, per session', () => {
+  process.env.SCRAPINGBEE_SESSION_BUDGET = '10';
+  recordUsage({ sessionId: 'spender', url: 'https://example.com/', credits: 8 });
+
+  assert.deepEqual(getBudgets('spender').session, { limit: 10, spent: 8, remaining: 2 });
+  assert.throws(() => reserveBudget({ url: 'https://example.com/' }, 'spender'), { errorCategory: 'BUDGET_EXCEEDED' });
+  reserveBudget({ url: 'https://example.com/', render_js: 'false' }, 'spender')();
+  reserveBudget({ url: 'https://example.com/' }, 'saver')();
+});
+
+test('the daily budget is shared by every session', () => {
+  process.env.SCRAPINGBEE_DAILY_BUDGET = String(getUsageReport().today.credits + 6);
+
+  const release = reserveBudget({ url: 'https://example.com/' }, 'first-client');
+  assert.throws(() => reserveBudget({ url: 'https://example.com/' }, 'second-client'), error => {
+    assert.equal(error.budget.scope, 'daily');
+    return true;
+  });
+  release();
+  reserveBudget({ url: 'https://example.com/' }, 'second-client')();
+});
+
+test('an invalid budget is a configuration error', () => {
+  process.env.SCRAPINGBEE_SESSION_BUDGET = 'lots';
+  assert.throws(() => reserveBudget({ url: 'https://example.com/' }, 'anyone'), { errorCategory: 'CONFIGURATION' });
+});